@@ -0,0 +1,82 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_KEY_LENGTH = 64;
+
+export const ADMIN_ROLES = ["moderator", "operator"];
+
+// Moderators run the chat; operators also run draws, payouts, admin accounts,
+// player data requests and read analytics and the audit log.
+export const ADMIN_ROLE_PERMISSIONS = {
+  moderator: ["chat"],
+  operator: ["chat", "draws", "payouts", "accounts", "audit", "settings", "privacy", "analytics"]
+};
+
+export function roleHasPermission(role, permission) {
+  return (ADMIN_ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derivedKey = await scrypt(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString("hex")}`;
+}
+
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "hex");
+  const derivedKey = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(derivedKey, expected);
+}
+
+export function createSessionToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function parseCookies(header) {
+  const cookies = {};
+
+  for (const part of String(header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index < 0) {
+      continue;
+    }
+
+    const name = part.slice(0, index).trim();
+    if (!name) {
+      continue;
+    }
+
+    // Another site on the domain can set cookies we cannot decode; skip them.
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      continue;
+    }
+  }
+
+  return cookies;
+}
+
+export function validateAdminUsername(username) {
+  return /^[a-z0-9_.-]{3,32}$/.test(String(username || ""));
+}
+
+export function validateAdminPassword(password) {
+  return String(password || "").length >= 12;
+}
@@ -0,0 +1,152 @@
+// Aggregates raw claim and chat rows into the per-day analytics shown on the
+// admin dashboard. Days are draw-day keys (YYYY-MM-DD in the draw time zone);
+// the caller supplies getDayKey so this module stays free of time zone logic.
+export const ARRIVAL_BUCKET_SECONDS = 10;
+export const CHAT_BUCKET_MINUTES = 5;
+export const CHAT_DRAW_WINDOW_MINUTES = 30;
+
+export function shiftDayKey(day, offsetDays) {
+  const [year, month, date] = day.split("-").map((part) => Number.parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, date + offsetDays)).toISOString().slice(0, 10);
+}
+
+export function listDayKeys(fromDay, toDay) {
+  const days = [];
+  const [year, month, day] = fromDay.split("-").map((part) => Number.parseInt(part, 10));
+
+  for (let date = new Date(Date.UTC(year, month - 1, day)); ; date.setUTCDate(date.getUTCDate() + 1)) {
+    const key = date.toISOString().slice(0, 10);
+    if (key > toDay) {
+      break;
+    }
+    days.push(key);
+  }
+
+  return days;
+}
+
+function getMedian(values) {
+  if (!values.length) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function countBy(map, key) {
+  map[key] = (map[key] || 0) + 1;
+}
+
+/**
+ * claims:        [{ payout_method, payout_id, ip_address, created_at, opened_at }]
+ * firstSeenAt:   Map of "method:handle" -> first claim time across all history
+ * chatMessages:  [{ created_at }] player messages near the draw
+ * drawStartByDay: Map of day key -> scheduled draw time that day
+ *
+ * A returning entrant is one whose handle entered on an earlier day. Handles
+ * removed by retention or erasure count as neither new nor returning.
+ */
+export function summarizeAnalytics({ dayKeys, claims, firstSeenAt, chatMessages, drawStartByDay, getDayKey }) {
+  const days = new Map(
+    dayKeys.map((day) => [
+      day,
+      {
+        day,
+        entrants: 0,
+        uniqueIps: new Set(),
+        newEntrants: 0,
+        returningEntrants: 0,
+        methods: {},
+        arrivalSeconds: [],
+        chatMessagesNearDraw: 0
+      }
+    ])
+  );
+  const arrivalBuckets = [];
+  const totalMethods = {};
+
+  for (const claim of claims) {
+    const day = days.get(getDayKey(claim.created_at));
+    if (!day) {
+      continue;
+    }
+
+    day.entrants += 1;
+    if (claim.ip_address) {
+      day.uniqueIps.add(claim.ip_address);
+    }
+    countBy(day.methods, claim.payout_method || "Unknown");
+    countBy(totalMethods, claim.payout_method || "Unknown");
+
+    if (claim.payout_id) {
+      const firstAt = firstSeenAt.get(`${claim.payout_method}:${claim.payout_id}`) ?? claim.created_at;
+      if (getDayKey(firstAt) < day.day) {
+        day.returningEntrants += 1;
+      } else {
+        day.newEntrants += 1;
+      }
+    }
+
+    if (claim.opened_at) {
+      const seconds = Math.max(0, (claim.created_at - claim.opened_at) / 1000);
+      day.arrivalSeconds.push(seconds);
+      const bucket = Math.floor(seconds / ARRIVAL_BUCKET_SECONDS);
+      arrivalBuckets[bucket] = (arrivalBuckets[bucket] || 0) + 1;
+    }
+  }
+
+  const chatBucketCount = (CHAT_DRAW_WINDOW_MINUTES * 2) / CHAT_BUCKET_MINUTES;
+  const chatBuckets = Array(chatBucketCount).fill(0);
+  for (const message of chatMessages) {
+    const day = days.get(getDayKey(message.created_at));
+    const drawStartMs = drawStartByDay.get(day?.day);
+    if (!day || !drawStartMs) {
+      continue;
+    }
+
+    const offsetMinutes = (message.created_at - drawStartMs) / 60000;
+    if (offsetMinutes < -CHAT_DRAW_WINDOW_MINUTES || offsetMinutes >= CHAT_DRAW_WINDOW_MINUTES) {
+      continue;
+    }
+
+    day.chatMessagesNearDraw += 1;
+    chatBuckets[Math.floor((offsetMinutes + CHAT_DRAW_WINDOW_MINUTES) / CHAT_BUCKET_MINUTES)] += 1;
+  }
+
+  const dayRows = [...days.values()].map((day) => ({
+    day: day.day,
+    entrants: day.entrants,
+    uniqueIps: day.uniqueIps.size,
+    newEntrants: day.newEntrants,
+    returningEntrants: day.returningEntrants,
+    methods: day.methods,
+    medianArrivalSeconds: getMedian(day.arrivalSeconds),
+    chatMessagesNearDraw: day.chatMessagesNearDraw
+  }));
+
+  return {
+    days: dayRows,
+    totals: {
+      entrants: dayRows.reduce((total, day) => total + day.entrants, 0),
+      newEntrants: dayRows.reduce((total, day) => total + day.newEntrants, 0),
+      returningEntrants: dayRows.reduce((total, day) => total + day.returningEntrants, 0),
+      methods: totalMethods
+    },
+    arrival: {
+      bucketSeconds: ARRIVAL_BUCKET_SECONDS,
+      buckets: Array.from(arrivalBuckets, (count, index) => ({
+        fromSecond: index * ARRIVAL_BUCKET_SECONDS,
+        count: count || 0
+      }))
+    },
+    chatAroundDraw: {
+      bucketMinutes: CHAT_BUCKET_MINUTES,
+      buckets: chatBuckets.map((count, index) => ({
+        offsetMinutes: index * CHAT_BUCKET_MINUTES - CHAT_DRAW_WINDOW_MINUTES,
+        count
+      }))
+    }
+  };
+}
@@ -0,0 +1,4460 @@
+import express from "express";
+import bodyParser from "body-parser";
+import sqlite3 from "sqlite3";
+import * as sqlite from "sqlite";
+import cron from "node-cron";
+import path, { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import cors from "cors";
+import fs from "fs";
+import crypto from "crypto";
+import {
+  FAIRNESS_ALGORITHM,
+  createServerSeed,
+  hashEntries,
+  hashSeed,
+  pickWinnerEntryIds,
+  sortEntryIds
+} from "./fairness.js";
+import { SETTING_DEFINITIONS, getDefaultSettings, getPublicSettings, validateSetting } from "./settings.js";
+import { FRAUD_FLAGS, getIpSubnet, scoreFraudSignals } from "./fraud.js";
+import { CHAT_DRAW_WINDOW_MINUTES, listDayKeys, shiftDayKey, summarizeAnalytics } from "./analytics.js";
+import { EXPORT_FORMATS, streamExport } from "./exports.js";
+import { createPayoutProvider } from "./payouts/index.js";
+import { createCaptchaVerifier } from "./captcha/index.js";
+import { createRateLimitStore, createRateLimiter } from "./rateLimit/index.js";
+import { createSystemClock } from "./clock.js";
+import { runMigrations } from "./migrations/index.js";
+import { maskPayoutHandle, normalizePayoutHandle } from "./payouts/methods.js";
+import { createNotificationTransport, createNotifier } from "./notifications/index.js";
+import {
+  ADMIN_ROLES,
+  createSessionToken,
+  hashPassword,
+  hashSessionToken,
+  parseCookies,
+  roleHasPermission,
+  safeEqual,
+  validateAdminPassword,
+  validateAdminUsername,
+  verifyPassword
+} from "./adminAuth.js";
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC = path.join(ROOT_DIR, "public");
+const DEFAULT_DATA_DIR = path.join(ROOT_DIR, "data");
+const DAILY_COUNTDOWN_START_SECONDS = 0;
+// Statuses operators can record by hand. While a provider call is in flight a
+// winner is 'sending', and a call that errored without an answer leaves it
+// 'unknown' until someone checks the provider.
+const PAYOUT_STATUSES = ["pending", "sent", "failed", "returned"];
+const MAX_WINNERS_PER_ROUND = 20;
+const PAYOUT_CURRENCY = "USD";
+const PAYOUT_SENDING_STALE_MS = 10 * 60 * 1000;
+const PAYOUT_NOTE = "Congrats on winning The $20 Dollar Game!";
+const FRAUD_LOOKBACK_DAYS = 30;
+const FRAUD_HANDLE_IP_THRESHOLD = 3;
+const FRAUD_SUBNET_BURST_THRESHOLD = 4;
+const FRAUD_SUBNET_BURST_SECONDS = 30;
+const FRAUD_EXCLUDE_SCORE = 60;
+const FRAUD_EXCLUDE_FLAGGED = process.env.FRAUD_EXCLUDE_FLAGGED === "true";
+const ANALYTICS_DEFAULT_DAYS = 14;
+const ANALYTICS_MAX_DAYS = 90;
+const EXPORT_PAGE_SIZE = 500;
+const DATA_REQUEST_TYPES = ["export", "delete"];
+const DATA_REQUEST_DEADLINE_DAYS = 30;
+const DATA_REQUEST_CODE_TTL_MS = 15 * 60 * 1000;
+const DATA_REQUEST_MAX_CODE_ATTEMPTS = 5;
+const DATA_REQUEST_MAX_PER_HOUR = 3;
+const ERASED_PAYOUT_ID = "erased";
+const DEFAULT_RECAPTCHA_SITE_KEY = "6LeKj_crAAAAAHt5YPYgUc3DSzTyVlkNdFKyk-3Z";
+// Limits are per minute. The player page polls state and results every 2s at
+// most, so the read limits allow about 60 players behind one carrier NAT
+// address. Read counters stay in memory so polling never writes to the
+// database; entries use the configured store so limits survive restarts.
+const RATE_LIMIT_POLICIES = {
+  claim: {
+    windowMs: 60 * 1000,
+    max: 10,
+    keyBy: ["ip", "payoutHandle"],
+    message: "Too many entry attempts. Wait a minute and try again."
+  },
+  claimResult: {
+    windowMs: 60 * 1000,
+    max: 1800,
+    keyBy: ["ip"],
+    store: "memory",
+    message: "Too many result checks. Wait a minute and try again."
+  },
+  state: {
+    windowMs: 60 * 1000,
+    max: 1800,
+    keyBy: ["ip"],
+    store: "memory",
+    message: "Too many requests. Wait a minute and try again."
+  }
+};
+const EVENT_STREAM_TICK_MS = 1000;
+const EVENT_STREAM_IDLE_INTERVAL_MS = 30000;
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+const EVENT_STREAM_DEBOUNCE_MS = 250;
+const EVENT_STREAM_RETRY_MS = 3000;
+const EVENT_STREAM_MAX_PER_IP = 50;
+const ADMIN_SESSION_COOKIE = "admin_session";
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const ADMIN_LOGIN_MAX_FAILURES = 5;
+const ADMIN_LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const CHAT_FETCH_LIMIT = 60;
+const CHAT_MAX_MESSAGE_LENGTH = 120;
+const CHAT_STALE_RATE_LIMIT_MS = 10 * 60 * 1000;
+const CHAT_MODERATION_SYNC_MS = 10 * 60 * 1000;
+const CHAT_MAX_MUTE_MINUTES = 7 * 24 * 60;
+const DEFAULT_CHAT_NICKNAME = "potential winner";
+const GAME_MASTER_CHAT_NICKNAME = "Game Master";
+const CHAT_BLOCK_TERMS = [
+  "fuck",
+  "fuk",
+  "fck",
+  "phuck",
+  "f*ck",
+  "f u c k",
+  "shit",
+  "sh1t",
+  "sht",
+  "sh!t",
+  "bitch",
+  "btch",
+  "biatch",
+  "asshole",
+  "ahole",
+  "a**hole",
+  "dick",
+  "dickhead",
+  "cock",
+  "pussy",
+  "cum",
+  "porn",
+  "sex",
+  "nudes",
+  "onlyfans",
+  "nigger",
+  "n1gger",
+  "nigga",
+  "faggot",
+  "fag",
+  "retard",
+  "tranny",
+  "kill yourself",
+  "kys",
+  "die",
+  "hang yourself",
+  "rape",
+  "raped",
+  "rapist",
+  "http",
+  "https",
+  "telegram",
+  "whatsapp",
+  "signal",
+  "dm me",
+  "message me",
+  "text me",
+  "send nudes",
+  "free nudes"
+];
+const CHAT_FLAG_TERMS = [
+  "cashapp",
+  "venmo",
+  "paypal",
+  "zelle",
+  "send me money",
+  "send again",
+  "refund me",
+  "i didnt get paid",
+  "you owe me",
+  "i won yesterday",
+  "this is a scam",
+  "scam site",
+  "fake giveaway",
+  "click here",
+  "claim now",
+  "limited offer",
+  "verify account",
+  "free money",
+  "easy money",
+  "guaranteed win",
+  "promo code",
+  "referral link",
+  "contact me",
+  "reach me",
+  "hit me up",
+  "email me",
+  "call me"
+];
+const CHAT_TOXIC_TERMS = [
+  "you suck",
+  "loser",
+  "idiot",
+  "stupid",
+  "dumb",
+  "shut up",
+  "trash",
+  "garbage",
+  "clown",
+  "hate you",
+  "go away"
+];
+const CHAT_SENSITIVE_TERMS = [
+  "ssn",
+  "social security",
+  "routing number",
+  "account number",
+  "credit card",
+  "debit card",
+  "cvv",
+  "@gmail.com",
+  "@yahoo.com",
+  "@hotmail.com"
+];
+const CHAT_FILTER_CATEGORIES = {
+  block: { defaults: CHAT_BLOCK_TERMS, defaultPolicy: "reject", message: "Keep chat clean for everyone." },
+  sensitive: {
+    defaults: CHAT_SENSITIVE_TERMS,
+    defaultPolicy: "reject",
+    message: "Personal information is not allowed in chat."
+  },
+  flag: {
+    defaults: CHAT_FLAG_TERMS,
+    defaultPolicy: "hold",
+    message: "Payment requests, scam language, and off-platform contact are not allowed in chat."
+  },
+  toxic: { defaults: CHAT_TOXIC_TERMS, defaultPolicy: "reject", message: "Keep chat respectful." }
+};
+const CHAT_FILTER_POLICIES = ["reject", "hold", "flag"];
+const CHAT_FILTER_MATCH_MODES = ["phrase", "compact", "regex"];
+const CHAT_FILTER_MAX_TERM_LENGTH = 200;
+const CHAT_PATTERNS = {
+  phone: /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/i,
+  email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-z]{2,}/i,
+  url: /(https?:\/\/|www\.)\S+/i,
+  domain: /(?:^|\s)[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|xyz|ru|tk|gg)\b/i
+};
+
+/**
+ * Builds the game: database, Express app, draw lifecycle and jobs. Time is
+ * read from `clock` and the database can be passed in already open; otherwise
+ * claims.db is opened in `dataDir`. Nothing is scheduled or listened on until
+ * start(port) is called.
+ */
+export async function createApp({ clock = createSystemClock(), database = null, dataDir = DEFAULT_DATA_DIR } = {}) {
+  const app = express();
+  const chatRateLimiter = new Map();
+  let chatFilterRules = [];
+  let chatFilterPolicies = {};
+  let gameSettings = getDefaultSettings();
+  let dailyDrawTask = null;
+  let midnightResetTask = null;
+  let jobsStarted = false;
+  const adminLoginFailures = new Map();
+  const notifier = createNotifier({
+    transport: createNotificationTransport(process.env.NOTIFY_TRANSPORT || "console", {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM_NUMBER
+    }),
+    recipients: String(process.env.OPERATOR_SMS_NUMBERS || "")
+      .split(",")
+      .map((number) => number.trim())
+      .filter(Boolean)
+  });
+
+  app.set("trust proxy", 1);
+  app.use(cors());
+  app.use(express.static(PUBLIC));
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: true }));
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  let db = database;
+
+  // A filter category is seeded once, the first time it has no policy row,
+  // with its default policy and built-in terms. Terms operators delete later
+  // stay deleted.
+  async function seedChatFilterDefaults() {
+    const seeded = await db.all("SELECT category FROM chat_filter_policies");
+    const now = clock.now();
+
+    for (const [category, { defaults, defaultPolicy }] of Object.entries(CHAT_FILTER_CATEGORIES)) {
+      if (seeded.some((row) => row.category === category)) {
+        continue;
+      }
+
+      await db.run(
+        `
+          INSERT INTO chat_filter_policies (category, policy, updated_at)
+          VALUES (?, ?, ?)
+        `,
+        [category, defaultPolicy, now]
+      );
+      for (const term of defaults) {
+        await db.run(
+          `
+            INSERT OR IGNORE INTO chat_filter_terms (category, term, match_mode, created_at, updated_at)
+            VALUES (?, ?, 'compact', ?, ?)
+          `,
+          [category, term, now, now]
+        );
+      }
+    }
+  }
+
+  async function initDB() {
+    db ||= await sqlite.open({ filename: path.join(dataDir, "claims.db"), driver: sqlite3.Database });
+
+    await runMigrations(db, { now: () => clock.now() });
+    await seedChatFilterDefaults();
+
+    console.log("Database ready");
+  }
+
+  await initDB();
+  await loadSettings();
+  await loadChatFilterRules();
+
+  const roundCloseTimers = new Map();
+  const eventStreamClients = new Set();
+  const eventStreamCountsByIp = new Map();
+  let lastStreamedState = null;
+  let lastStateBroadcastAt = 0;
+  let lastHeartbeatAt = 0;
+  let stateBroadcastTimer = null;
+
+  let drawTimeFormatters = null;
+
+  // Formatters are rebuilt whenever the draw time zone setting changes.
+  function getDrawTimeFormatters() {
+    const timeZone = getSetting("drawTimeZone");
+    if (drawTimeFormatters?.timeZone === timeZone) {
+      return drawTimeFormatters;
+    }
+
+    drawTimeFormatters = {
+      timeZone,
+      dateTime: new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hour12: false
+      }),
+      timeZoneName: new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" }),
+      offset: new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "shortOffset" })
+    };
+    return drawTimeFormatters;
+  }
+
+  function normalizeIp(ipAddress) {
+    if (!ipAddress) {
+      return "";
+    }
+
+    return String(ipAddress)
+      .split(",")[0]
+      .trim()
+      .replace(/^::ffff:/, "");
+  }
+
+  function getClientIp(req) {
+    return normalizeIp(req.ip || req.socket?.remoteAddress || "");
+  }
+
+  function sanitizeChatMessage(value) {
+    return String(value || "")
+      .normalize("NFKC")
+      .replace(/\s+/g, " ")
+      .replace(/[<>]/g, "")
+      .trim()
+      .slice(0, CHAT_MAX_MESSAGE_LENGTH);
+  }
+
+  function normalizeChatForPhraseMatch(value) {
+    const substitutions = {
+      "0": "o",
+      "1": "i",
+      "3": "e",
+      "4": "a",
+      "5": "s",
+      "7": "t",
+      "@": "a",
+      "$": "s",
+      "!": "i"
+    };
+
+    return sanitizeChatMessage(value)
+      .toLowerCase()
+      .replace(/[013457@$!]/g, (char) => substitutions[char] || char)
+      .replace(/[^a-z0-9]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function normalizeChatForCompactMatch(value) {
+    return normalizeChatForPhraseMatch(value).replace(/\s+/g, "");
+  }
+
+  function compileChatFilterRule(row) {
+    const rule = { id: row.id, category: row.category, term: row.term, matchMode: row.match_mode };
+
+    if (row.match_mode === "regex") {
+      rule.pattern = new RegExp(row.term, "i");
+      return rule;
+    }
+
+    rule.phraseTerm = normalizeChatForPhraseMatch(row.term);
+    rule.compactTerm = normalizeChatForCompactMatch(row.term);
+    return rule;
+  }
+
+  // "phrase" matches whole normalized words in order, "compact" also ignores
+  // spacing (so "f u c k" still hits), and "regex" runs against the sanitized text.
+  function matchesChatFilterRule(rule, message, phraseNormalizedMessage, compactNormalizedMessage) {
+    if (rule.matchMode === "regex") {
+      return rule.pattern.test(message);
+    }
+
+    // Both sides are space-separated words, so padding them keeps "die" from
+    // matching inside "diet".
+    if (rule.phraseTerm && ` ${phraseNormalizedMessage} `.includes(` ${rule.phraseTerm} `)) {
+      return true;
+    }
+
+    return rule.matchMode === "compact" && Boolean(rule.compactTerm) && compactNormalizedMessage.includes(rule.compactTerm);
+  }
+
+  // Stored values that no longer validate (for example after a range change)
+  // are ignored in favour of the default.
+  async function loadSettings() {
+    const rows = await db.all("SELECT key, value FROM settings");
+    const settings = getDefaultSettings();
+
+    for (const row of rows) {
+      let storedValue;
+      try {
+        storedValue = JSON.parse(row.value);
+      } catch {
+        storedValue = undefined;
+      }
+
+      const result = validateSetting(row.key, storedValue);
+      if (result.ok) {
+        settings[row.key] = result.value;
+      } else {
+        console.error(`Ignoring stored setting ${row.key}:`, result.msg);
+      }
+    }
+
+    gameSettings = settings;
+  }
+
+  function getSetting(key) {
+    return gameSettings[key];
+  }
+
+  async function loadChatFilterRules() {
+    const rows = await db.all(
+      `
+        SELECT id, category, term, match_mode
+        FROM chat_filter_terms
+        ORDER BY id ASC
+      `
+    );
+
+    const rules = [];
+    for (const row of rows) {
+      try {
+        rules.push(compileChatFilterRule(row));
+      } catch (err) {
+        console.error(`Skipping chat filter term ${row.id}:`, err.message);
+      }
+    }
+
+    chatFilterRules = rules;
+
+    const policies = await db.all("SELECT category, policy FROM chat_filter_policies");
+    chatFilterPolicies = Object.fromEntries(policies.map((row) => [row.category, row.policy]));
+  }
+
+  // Term categories follow their admin-set policy; links, contact details and
+  // spam patterns are always rejected.
+  function getChatFilterPolicy(category) {
+    if (!CHAT_FILTER_CATEGORIES[category]) {
+      return "reject";
+    }
+
+    return chatFilterPolicies[category] || CHAT_FILTER_CATEGORIES[category].defaultPolicy;
+  }
+
+  function findChatModerationRule(message) {
+    if (!message) {
+      return { category: "empty", rule: null, message: "Type a message before sending." };
+    }
+
+    if (CHAT_PATTERNS.url.test(message) || CHAT_PATTERNS.domain.test(message)) {
+      return { category: "links", rule: { pattern: "url" }, message: "Links are not allowed in chat." };
+    }
+
+    if (CHAT_PATTERNS.email.test(message)) {
+      return { category: "contact", rule: { pattern: "email" }, message: "Contact information is not allowed in chat." };
+    }
+
+    if (CHAT_PATTERNS.phone.test(message)) {
+      return { category: "contact", rule: { pattern: "phone" }, message: "Contact information is not allowed in chat." };
+    }
+
+    if (/(.)\1{14,}/i.test(message)) {
+      return { category: "spam", rule: { pattern: "repeated characters" }, message: "Please avoid spammy messages." };
+    }
+
+    const phraseNormalizedMessage = normalizeChatForPhraseMatch(message);
+    const compactNormalizedMessage = normalizeChatForCompactMatch(message);
+
+    for (const [category, { message: categoryMessage }] of Object.entries(CHAT_FILTER_CATEGORIES)) {
+      const rule = chatFilterRules.find(
+        (candidate) =>
+          candidate.category === category &&
+          matchesChatFilterRule(candidate, message, phraseNormalizedMessage, compactNormalizedMessage)
+      );
+
+      if (rule) {
+        return {
+          category,
+          rule: { id: rule.id, term: rule.term, matchMode: rule.matchMode },
+          message: categoryMessage
+        };
+      }
+    }
+
+    return null;
+  }
+
+  function getChatRateLimitMessage(ipAddress) {
+    const now = clock.now();
+    const existing = chatRateLimiter.get(ipAddress) || { lastPostedAt: 0, recentPosts: [] };
+    const recentPosts = existing.recentPosts.filter((timestamp) => now - timestamp < 60000);
+
+    const slowModeMs = getSetting("chatSlowModeSeconds") * 1000;
+    if (now - existing.lastPostedAt < slowModeMs) {
+      const seconds = Math.ceil((slowModeMs - (now - existing.lastPostedAt)) / 1000);
+      return `Slow mode is on. Wait ${seconds}s and try again.`;
+    }
+
+    if (recentPosts.length >= getSetting("chatMaxPostsPerMinute")) {
+      return "You're sending messages too fast. Try again in a minute.";
+    }
+
+    recentPosts.push(now);
+    chatRateLimiter.set(ipAddress, { lastPostedAt: now, recentPosts });
+    return null;
+  }
+
+  async function isDuplicateRecentChatMessage(ipAddress, message) {
+    const row = await db.get(
+      `
+        SELECT id
+        FROM chat_messages
+        WHERE ip_address = ?
+          AND lower(message) = lower(?)
+          AND created_at >= ?
+        ORDER BY id DESC
+        LIMIT 1
+      `,
+      [ipAddress, message, clock.now() - 2 * 60 * 1000]
+    );
+
+    return Boolean(row);
+  }
+
+  async function getActiveChatBan(ipAddress) {
+    const ban = await db.get(
+      `
+        SELECT id, kind, expires_at
+        FROM chat_bans
+        WHERE ip_address = ?
+          AND lifted_at IS NULL
+          AND (expires_at IS NULL OR expires_at > ?)
+        ORDER BY CASE kind WHEN 'ban' THEN 0 ELSE 1 END, expires_at IS NULL DESC, expires_at DESC
+        LIMIT 1
+      `,
+      [ipAddress, clock.now()]
+    );
+
+    return ban || null;
+  }
+
+  function getChatBanMessage(ban) {
+    if (ban.kind === "ban" && !ban.expires_at) {
+      return "You have been banned from chat.";
+    }
+
+    const minutes = Math.max(1, Math.ceil((ban.expires_at - clock.now()) / 60000));
+    return ban.kind === "ban"
+      ? `You are banned from chat for ${minutes} more minute${minutes === 1 ? "" : "s"}.`
+      : `You are muted for ${minutes} more minute${minutes === 1 ? "" : "s"}.`;
+  }
+
+  // With RETENTION_HASH_SECRET set, old values are replaced by a keyed hash so
+  // repeat-entry checks still match; without it they are removed outright.
+  function anonymizeStoredValue(value) {
+    const secret = process.env.RETENTION_HASH_SECRET;
+    if (!value || !secret) {
+      return null;
+    }
+
+    return `hmac:${crypto.createHmac("sha256", secret).update(String(value)).digest("hex").slice(0, 32)}`;
+  }
+
+  // Winning handles are kept for payouts and bookkeeping; every other claim
+  // loses its IP address and payout handle once it is older than the retention
+  // window.
+  async function applyClaimRetention() {
+    const cutoff = clock.now() - getSetting("claimRetentionDays") * 24 * 60 * 60 * 1000;
+    const claims = await db.all(
+      `
+        SELECT id, payout_id, ip_address, is_winner
+        FROM claims
+        WHERE created_at < ?
+          AND anonymized_at IS NULL
+      `,
+      [cutoff]
+    );
+
+    const now = clock.now();
+    for (const claim of claims) {
+      await db.run(
+        `
+          UPDATE claims
+          SET ip_address = ?,
+              ip_subnet = NULL,
+              payout_id = ?,
+              anonymized_at = ?
+          WHERE id = ?
+        `,
+        [
+          anonymizeStoredValue(claim.ip_address),
+          claim.is_winner ? claim.payout_id : anonymizeStoredValue(claim.payout_id),
+          now,
+          claim.id
+        ]
+      );
+    }
+
+    if (claims.length) {
+      console.log(`Anonymized ${claims.length} claims older than ${getSetting("claimRetentionDays")} days`);
+    }
+  }
+
+  function isPhoneHandle(handle) {
+    return /^\+\d{8,15}$/.test(String(handle || ""));
+  }
+
+  function createDataRequestCode() {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  }
+
+  // Phone handles get the code by SMS when a transport that reaches phones is
+  // configured. Every other handle is verified by hand from the admin
+  // dashboard.
+  function getDataRequestDeliveryChannel(payoutId) {
+    return isPhoneHandle(payoutId) && notifier.transport.reachesPhones ? "sms" : "manual";
+  }
+
+  async function sendDataRequestCode(request, code) {
+    await notifier.transport.send({
+      to: request.payout_id,
+      body: `Your $20 Game data request code is ${code}. It expires in ${DATA_REQUEST_CODE_TTL_MS / 60000} minutes.`
+    });
+  }
+
+  async function hasStoredPlayerData(payoutMethod, payoutId) {
+    const row = await db.get(
+      `
+        SELECT 1 AS found FROM claims WHERE payout_method = ? AND payout_id = ?
+        UNION ALL
+        SELECT 1 AS found FROM past_winners WHERE payout_method = ? AND payout_id = ?
+        LIMIT 1
+      `,
+      [payoutMethod, payoutId, payoutMethod, payoutId]
+    );
+    return Boolean(row);
+  }
+
+  // Chat messages carry no payout handle, and an IP address can be shared by
+  // many players, so chat is neither exported nor erased here; it expires on
+  // its own after the chat retention period.
+  async function buildPlayerDataExport(payoutMethod, payoutId) {
+    const claims = await db.all(
+      `
+        SELECT id, round_id, payout_method, payout_id, created_at, ip_address, is_winner, fraud_score, fraud_excluded
+        FROM claims
+        WHERE payout_method = ?
+          AND payout_id = ?
+        ORDER BY created_at ASC
+      `,
+      [payoutMethod, payoutId]
+    );
+    const winnings = await db.all(
+      `
+        SELECT round_id, place, prize_amount_cents, selected_at, payout_status, payout_amount_cents, payout_sent_at, show_full_handle
+        FROM past_winners
+        WHERE payout_method = ?
+          AND payout_id = ?
+        ORDER BY selected_at ASC
+      `,
+      [payoutMethod, payoutId]
+    );
+
+    return {
+      generatedAt: clock.now(),
+      payoutMethod,
+      payoutId,
+      claims: claims.map((claim) => ({
+        id: claim.id,
+        roundId: claim.round_id,
+        payoutMethod: claim.payout_method,
+        payoutId: claim.payout_id,
+        createdAt: claim.created_at,
+        ipAddress: claim.ip_address,
+        winner: Boolean(claim.is_winner),
+        fraudScore: claim.fraud_score,
+        excludedFromDraw: Boolean(claim.fraud_excluded)
+      })),
+      winnings: winnings.map((winner) => ({
+        roundId: winner.round_id,
+        place: winner.place,
+        prizeAmountCents: winner.prize_amount_cents,
+        selectedAt: winner.selected_at,
+        payoutStatus: winner.payout_status,
+        payoutAmountCents: winner.payout_amount_cents,
+        payoutSentAt: winner.payout_sent_at,
+        showFullHandle: Boolean(winner.show_full_handle)
+      }))
+    };
+  }
+
+  // Claims keep their ids so published round proofs still verify, but lose the
+  // handle and IP address. Winner rows stay for bookkeeping with the handle
+  // replaced by a keyed hash (or a placeholder without RETENTION_HASH_SECRET).
+  async function erasePlayerData(payoutMethod, payoutId) {
+    const openClaim = await db.get(
+      `
+        SELECT claims.id
+        FROM claims
+        JOIN rounds ON rounds.id = claims.round_id
+        WHERE claims.payout_method = ?
+          AND claims.payout_id = ?
+          AND rounds.status = 'open'
+        LIMIT 1
+      `,
+      [payoutMethod, payoutId]
+    );
+    if (openClaim) {
+      return { ok: false, msg: "This handle has an entry in the open round. Try again after the draw." };
+    }
+
+    const unpaidWinner = await db.get(
+      `
+        SELECT id
+        FROM past_winners
+        WHERE payout_method = ?
+          AND payout_id = ?
+          AND payout_status <> 'sent'
+        LIMIT 1
+      `,
+      [payoutMethod, payoutId]
+    );
+    if (unpaidWinner) {
+      return { ok: false, msg: `Winner ${unpaidWinner.id} has not been paid yet. Settle the payout first.` };
+    }
+
+    const now = clock.now();
+
+    await db.exec("BEGIN");
+    try {
+      await db.run(
+        `
+          DELETE FROM claim_fraud_flags
+          WHERE claim_id IN (SELECT id FROM claims WHERE payout_method = ? AND payout_id = ?)
+        `,
+        [payoutMethod, payoutId]
+      );
+      const claims = await db.run(
+        `
+          UPDATE claims
+          SET payout_id = NULL,
+              ip_address = NULL,
+              ip_subnet = NULL,
+              anonymized_at = ?
+          WHERE payout_method = ?
+            AND payout_id = ?
+        `,
+        [now, payoutMethod, payoutId]
+      );
+      const winners = await db.run(
+        `
+          UPDATE past_winners
+          SET payout_id = ?,
+              show_full_handle = 0
+          WHERE payout_method = ?
+            AND payout_id = ?
+        `,
+        [anonymizeStoredValue(payoutId) || ERASED_PAYOUT_ID, payoutMethod, payoutId]
+      );
+      await db.exec("COMMIT");
+
+      return {
+        ok: true,
+        claims: claims.changes,
+        winners: winners.changes
+      };
+    } catch (err) {
+      await db.exec("ROLLBACK");
+      throw err;
+    }
+  }
+
+  function getDataRequestSummary(request) {
+    return {
+      id: request.id,
+      type: request.request_type,
+      status: request.status,
+      deliveryChannel: request.delivery_channel,
+      dueAt: request.due_at
+    };
+  }
+
+  async function expireDataRequests() {
+    await db.run(
+      `
+        UPDATE data_requests
+        SET status = 'expired',
+            code_hash = NULL
+        WHERE status = 'unverified'
+          AND delivery_channel <> 'manual'
+          AND code_expires_at <= ?
+      `,
+      [clock.now()]
+    );
+  }
+
+  async function cleanupChatMessages() {
+    await db.run("DELETE FROM chat_messages WHERE created_at < ?", [clock.now() - getSetting("chatRetentionHours") * 60 * 60 * 1000]);
+    await db.run(`
+      DELETE FROM chat_messages
+      WHERE id NOT IN (
+        SELECT id
+        FROM chat_messages
+        ORDER BY id DESC
+        LIMIT 250
+      )
+    `);
+
+    for (const [ipAddress, entry] of chatRateLimiter.entries()) {
+      const recentPosts = entry.recentPosts.filter((timestamp) => clock.now() - timestamp < 60000);
+      if (!recentPosts.length && clock.now() - entry.lastPostedAt > CHAT_STALE_RATE_LIMIT_MS) {
+        chatRateLimiter.delete(ipAddress);
+        continue;
+      }
+
+      chatRateLimiter.set(ipAddress, { ...entry, recentPosts });
+    }
+  }
+
+  // A missing secret or unknown provider leaves captchaVerifier null, which
+  // /claim reports as a verifier outage instead of a failed challenge.
+  function loadCaptchaVerifier() {
+    const provider = process.env.CAPTCHA_PROVIDER || "recaptcha";
+
+    try {
+      return createCaptchaVerifier(provider, {
+        secret: process.env.CAPTCHA_SECRET || process.env.RECAPTCHA_SECRET,
+        secretEnvName: "CAPTCHA_SECRET",
+        siteKey: process.env.CAPTCHA_SITE_KEY || (provider === "recaptcha" ? DEFAULT_RECAPTCHA_SITE_KEY : null),
+        hostnames: String(process.env.CAPTCHA_HOSTNAMES || "")
+          .split(",")
+          .map((hostname) => hostname.trim())
+          .filter(Boolean),
+        minScore: process.env.CAPTCHA_MIN_SCORE ? Number(process.env.CAPTCHA_MIN_SCORE) : undefined,
+        timeoutMs: Number(process.env.CAPTCHA_TIMEOUT_MS) || 5000,
+        production: process.env.NODE_ENV === "production"
+      });
+    } catch (err) {
+      console.error("Captcha verifier setup error:", err.message);
+      return null;
+    }
+  }
+
+  const captchaVerifier = loadCaptchaVerifier();
+
+  const rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE || "sqlite", { db });
+  const memoryRateLimitStore = createRateLimitStore("memory");
+  const rateLimit = createRateLimiter({
+    store: rateLimitStore,
+    stores: { memory: memoryRateLimitStore },
+    policies: RATE_LIMIT_POLICIES,
+    now: () => clock.now(),
+    keyResolvers: {
+      ip: (req) => getClientIp(req),
+      payoutHandle: (req) => {
+        const payout = normalizePayoutHandle(req.body?.payout_method, req.body?.payout_id);
+        return payout.ok ? `${payout.method}:${payout.handle}` : null;
+      }
+    }
+  });
+
+  async function verifyCaptcha(token, remoteIp) {
+    if (!captchaVerifier) {
+      return { status: "unavailable", reason: "captcha verifier is not configured" };
+    }
+
+    return captchaVerifier.verify({ token, remoteIp, action: "claim" });
+  }
+
+  function sendOperatorAlert(event, data) {
+    notifier.notify(event, data).catch((err) => {
+      console.error(`Operator alert ${event} error:`, err);
+    });
+  }
+
+  let payoutProvider;
+
+  function getPayoutProvider() {
+    if (payoutProvider) {
+      return payoutProvider;
+    }
+
+    payoutProvider = createPayoutProvider(process.env.PAYOUT_PROVIDER, {
+      filePath: path.join(dataDir, "payouts-sandbox.jsonl"),
+      outcome: process.env.PAYOUT_SANDBOX_OUTCOME || "sent",
+      webhookSecret: process.env.PAYOUT_SANDBOX_WEBHOOK_SECRET,
+      now: () => clock.now(),
+      clientId: process.env.PAYPAL_CLIENT_ID,
+      clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+      webhookId: process.env.PAYPAL_WEBHOOK_ID,
+      environment: process.env.PAYPAL_ENVIRONMENT || "sandbox"
+    });
+    return payoutProvider;
+  }
+
+  function requirePayoutProvider(req, res, next) {
+    if (!process.env.PAYOUT_PROVIDER) {
+      return res.status(500).json({ ok: false, msg: "PAYOUT_PROVIDER not set" });
+    }
+    return next();
+  }
+
+  function getAdminLoginLockMessage(ipAddress) {
+    const entry = adminLoginFailures.get(ipAddress);
+    if (!entry || clock.now() - entry.firstFailedAt > ADMIN_LOGIN_LOCKOUT_MS) {
+      adminLoginFailures.delete(ipAddress);
+      return null;
+    }
+
+    if (entry.failures >= ADMIN_LOGIN_MAX_FAILURES) {
+      const minutes = Math.ceil((ADMIN_LOGIN_LOCKOUT_MS - (clock.now() - entry.firstFailedAt)) / 60000);
+      return `Too many failed sign-ins. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+    }
+
+    return null;
+  }
+
+  function recordAdminLoginFailure(ipAddress) {
+    const entry = adminLoginFailures.get(ipAddress) || { failures: 0, firstFailedAt: clock.now() };
+    adminLoginFailures.set(ipAddress, { ...entry, failures: entry.failures + 1 });
+  }
+
+  function setAdminSessionCookie(req, res, token, maxAgeMs) {
+    const attributes = [
+      `${ADMIN_SESSION_COOKIE}=${encodeURIComponent(token)}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Strict",
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (req.secure || process.env.NODE_ENV === "production") {
+      attributes.push("Secure");
+    }
+
+    res.setHeader("Set-Cookie", attributes.join("; "));
+  }
+
+  async function getAdminSession(req) {
+    const token = parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+    if (!token) {
+      return null;
+    }
+
+    const session = await db.get(
+      `
+        SELECT
+          admin_sessions.id AS session_id,
+          admin_sessions.csrf_token,
+          admin_sessions.expires_at,
+          admin_users.id,
+          admin_users.username,
+          admin_users.role
+        FROM admin_sessions
+        JOIN admin_users ON admin_users.id = admin_sessions.user_id
+        WHERE admin_sessions.id = ?
+          AND admin_sessions.expires_at > ?
+          AND admin_users.disabled_at IS NULL
+      `,
+      [hashSessionToken(token), clock.now()]
+    );
+
+    return session || null;
+  }
+
+  // Every admin route names the permission it needs. State-changing requests must
+  // also echo the session's CSRF token in the X-CSRF-Token header.
+  function requireAdmin(permission) {
+    return async (req, res, next) => {
+      try {
+        const session = await getAdminSession(req);
+        if (!session) {
+          return res.status(401).json({ ok: false, msg: "unauthorized" });
+        }
+
+        if (!["GET", "HEAD", "OPTIONS"].includes(req.method) && !safeEqual(req.headers["x-csrf-token"], session.csrf_token)) {
+          return res.status(403).json({ ok: false, msg: "Invalid CSRF token" });
+        }
+
+        if (!roleHasPermission(session.role, permission)) {
+          return res.status(403).json({ ok: false, msg: "Your admin role cannot do that" });
+        }
+
+        req.admin = { id: session.id, username: session.username, role: session.role, sessionId: session.session_id };
+        return next();
+      } catch (err) {
+        console.error("Admin auth error:", err);
+        return res.status(500).json({ ok: false, msg: "Server error" });
+      }
+    };
+  }
+
+  async function recordAdminAudit(req, action, { targetType = null, targetId = null, params = null, actor = req.admin } = {}) {
+    await db.run(
+      `
+        INSERT INTO admin_audit_log (
+          actor_id,
+          actor_username,
+          actor_role,
+          action,
+          target_type,
+          target_id,
+          params,
+          ip_address,
+          created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        actor?.id ?? null,
+        actor?.username ?? null,
+        actor?.role ?? null,
+        action,
+        targetType,
+        targetId === null ? null : String(targetId),
+        params ? JSON.stringify(params) : null,
+        getClientIp(req) || null,
+        clock.now()
+      ]
+    );
+  }
+
+  async function cleanupAdminSessions() {
+    await db.run("DELETE FROM admin_sessions WHERE expires_at <= ?", [clock.now()]);
+
+    for (const [ipAddress, entry] of adminLoginFailures.entries()) {
+      if (clock.now() - entry.firstFailedAt > ADMIN_LOGIN_LOCKOUT_MS) {
+        adminLoginFailures.delete(ipAddress);
+      }
+    }
+  }
+
+  function getDrawDateTimeParts(date = new Date(clock.now())) {
+    const values = {};
+
+    for (const part of getDrawTimeFormatters().dateTime.formatToParts(date)) {
+      if (part.type !== "literal") {
+        values[part.type] = part.value;
+      }
+    }
+
+    return {
+      year: Number.parseInt(values.year, 10),
+      month: Number.parseInt(values.month, 10),
+      day: Number.parseInt(values.day, 10),
+      hour: Number.parseInt(values.hour, 10),
+      minute: Number.parseInt(values.minute, 10),
+      second: Number.parseInt(values.second, 10)
+    };
+  }
+
+  function getTimeZoneOffsetMinutes(timeZoneFormatter, date = new Date(clock.now())) {
+    const offsetValue = timeZoneFormatter
+      .formatToParts(date)
+      .find((part) => part.type === "timeZoneName")?.value;
+
+    if (!offsetValue || offsetValue === "GMT") {
+      return 0;
+    }
+
+    const match = offsetValue.match(/^GMT([+-])(\d{1,2})(?::?(\d{2}))?$/);
+    if (!match) {
+      return 0;
+    }
+
+    const sign = match[1] === "-" ? -1 : 1;
+    const hours = Number.parseInt(match[2], 10);
+    const minutes = Number.parseInt(match[3] || "0", 10);
+    return sign * (hours * 60 + minutes);
+  }
+
+  function getDrawTimeZoneLabel(date = new Date(clock.now())) {
+    const { timeZone, timeZoneName } = getDrawTimeFormatters();
+    return timeZoneName.formatToParts(date).find((part) => part.type === "timeZoneName")?.value || timeZone;
+  }
+
+  function drawLocalDateTimeToMs({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+    let guess = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    for (let i = 0; i < 4; i += 1) {
+      const offsetMinutes = getTimeZoneOffsetMinutes(getDrawTimeFormatters().offset, new Date(guess));
+      guess = Date.UTC(year, month - 1, day, hour, minute, second) - offsetMinutes * 60 * 1000;
+    }
+
+    return guess;
+  }
+
+  function drawMidnightMs(date = new Date(clock.now())) {
+    const drawNow = getDrawDateTimeParts(date);
+    return drawLocalDateTimeToMs({
+      year: drawNow.year,
+      month: drawNow.month,
+      day: drawNow.day,
+      hour: 0,
+      minute: 0,
+      second: 0
+    });
+  }
+
+  function getDrawDayKey(date = new Date(clock.now())) {
+    const { year, month, day } = getDrawDateTimeParts(date);
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  }
+
+  function isValidDayKey(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ""))) {
+      return false;
+    }
+
+    const [year, month, day] = value.split("-").map((part) => Number.parseInt(part, 10));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  function getDrawStartMs(date = new Date(clock.now())) {
+    const drawNow = getDrawDateTimeParts(date);
+    return drawLocalDateTimeToMs({
+      year: drawNow.year,
+      month: drawNow.month,
+      day: drawNow.day,
+      hour: getSetting("drawHour"),
+      minute: getSetting("drawMinute"),
+      second: 0
+    });
+  }
+
+  function getDailyCountdownState(date = new Date(clock.now())) {
+    const drawNow = getDrawDateTimeParts(date);
+    const secondsSinceMidnight = drawNow.hour * 3600 + drawNow.minute * 60 + drawNow.second;
+    const drawStartSeconds = getSetting("drawHour") * 3600 + getSetting("drawMinute") * 60;
+    const drawStartsAtMs = getDrawStartMs(date);
+
+    return {
+      timeZoneLabel: getDrawTimeZoneLabel(date),
+      showCountdown:
+        secondsSinceMidnight >= DAILY_COUNTDOWN_START_SECONDS && secondsSinceMidnight < drawStartSeconds,
+      countdownSeconds:
+        secondsSinceMidnight >= DAILY_COUNTDOWN_START_SECONDS && secondsSinceMidnight < drawStartSeconds
+          ? Math.max(0, Math.floor((drawStartsAtMs - date.getTime()) / 1000))
+          : 0,
+      isPastDrawTime: secondsSinceMidnight >= drawStartSeconds,
+      isWithinOpeningGrace:
+        secondsSinceMidnight >= drawStartSeconds &&
+        secondsSinceMidnight < drawStartSeconds + getSetting("drawWindowSeconds")
+    };
+  }
+
+  async function hasWinnerToday() {
+    const todayStart = drawMidnightMs();
+    const row = await db.get(
+      "SELECT COUNT(*) AS total FROM past_winners WHERE selected_at >= ?",
+      [todayStart]
+    );
+    return (row?.total || 0) > 0;
+  }
+
+  async function getTodayDrawSummary() {
+    const todayStart = drawMidnightMs();
+    const totals = await db.get(
+      "SELECT COUNT(*) AS totalPlayers FROM claims WHERE created_at >= ?",
+      [todayStart]
+    );
+    const winners = await db.all(
+      `
+        SELECT payout_id, show_full_handle, place, prize_amount_cents
+        FROM past_winners
+        WHERE round_id = (
+          SELECT round_id
+          FROM past_winners
+          WHERE selected_at >= ?
+          ORDER BY selected_at DESC
+          LIMIT 1
+        )
+        ORDER BY place ASC
+      `,
+      [todayStart]
+    );
+
+    return {
+      totalPlayers: totals?.totalPlayers || 0,
+      winnerPayoutId: winners[0] ? getPublicWinnerHandle(winners[0]) : null,
+      winners: winners.map((winner) => ({
+        payoutId: getPublicWinnerHandle(winner),
+        place: winner.place,
+        prizeAmountCents: winner.prize_amount_cents
+      }))
+    };
+  }
+
+  async function getOpenRound() {
+    const round = await db.get(
+      `
+        SELECT id, opened_at, expires_at, status, seed_hash, prize_tiers
+        FROM rounds
+        WHERE status = 'open'
+        ORDER BY opened_at DESC
+        LIMIT 1
+      `
+    );
+
+    return round || null;
+  }
+
+  // Rounds store one prize per place, in cents. Rounds from before prize tiers
+  // were stored had a single winner.
+  function getRoundPrizeTiers(round) {
+    try {
+      const tiers = JSON.parse(round?.prize_tiers || "null");
+      if (Array.isArray(tiers) && tiers.length) {
+        return tiers;
+      }
+    } catch {
+      // Fall through to the single-winner default.
+    }
+
+    return [null];
+  }
+
+  // Accepts dollar amounts as an array or a string like "20, 5x5", where "5x5"
+  // means five places paying $5 each. Returns cents per place.
+  function parsePrizeTiers(value) {
+    const parts = Array.isArray(value) ? value : String(value).split(",");
+    const tiers = [];
+
+    for (const part of parts) {
+      const match = String(part).trim().match(/^(.+?)(?:\s*x\s*(\d+))?$/i);
+      const amountCents = match ? parseAmountToCents(match[1]) : NaN;
+      const repeat = match?.[2] ? Number.parseInt(match[2], 10) : 1;
+      if (!amountCents || Number.isNaN(amountCents) || repeat < 1) {
+        return { ok: false, msg: 'Prizes must be dollar amounts like "20" or "20, 5x5"' };
+      }
+
+      tiers.push(...Array(Math.min(repeat, MAX_WINNERS_PER_ROUND + 1)).fill(amountCents));
+    }
+
+    if (!tiers.length || tiers.length > MAX_WINNERS_PER_ROUND) {
+      return { ok: false, msg: `A round can have from 1 to ${MAX_WINNERS_PER_ROUND} winners` };
+    }
+
+    return { ok: true, tiers };
+  }
+
+  function getRoundRemainingSeconds(round, now = clock.now()) {
+    if (!round) {
+      return 0;
+    }
+
+    return Math.max(0, Math.floor((round.expires_at - now) / 1000));
+  }
+
+  function scheduleRoundClose(round) {
+    clock.clearTimeout(roundCloseTimers.get(round.id));
+
+    const timer = clock.setTimeout(() => {
+      roundCloseTimers.delete(round.id);
+      return closeWindowAndPickWinner(round.id).catch((err) => {
+        console.error("Window close error:", err);
+      });
+    }, Math.max(0, round.expires_at - clock.now()));
+
+    roundCloseTimers.set(round.id, timer);
+  }
+
+  async function openRound(seconds, prizeTiers = [getSetting("prizeAmountCents")]) {
+    const openedAt = clock.now();
+    const seed = createServerSeed();
+    const round = {
+      id: String(openedAt),
+      opened_at: openedAt,
+      expires_at: openedAt + seconds * 1000,
+      status: "open",
+      seed_hash: hashSeed(seed),
+      prize_tiers: JSON.stringify(prizeTiers)
+    };
+
+    await db.run(
+      `
+        INSERT INTO rounds (id, opened_at, expires_at, status, seed, seed_hash, prize_tiers)
+        VALUES (?, ?, ?, 'open', ?, ?, ?)
+      `,
+      [round.id, round.opened_at, round.expires_at, seed, round.seed_hash, round.prize_tiers]
+    );
+    scheduleRoundClose(round);
+    scheduleStateBroadcast();
+    sendOperatorAlert("roundOpened", { roundId: round.id, seconds });
+
+    return round;
+  }
+
+  async function collectClaimFraudSignals(claim) {
+    const lookbackStart = claim.created_at - FRAUD_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+    const burstWindowMs = FRAUD_SUBNET_BURST_SECONDS * 1000;
+
+    const sameHandle = await db.get(
+      `
+        SELECT COUNT(*) AS total
+        FROM claims
+        WHERE round_id = ?
+          AND id < ?
+          AND payout_method = ? COLLATE NOCASE
+          AND payout_id = ? COLLATE NOCASE
+      `,
+      [claim.round_id, claim.id, claim.payout_method, claim.payout_id]
+    );
+
+    const handleIps = await db.get(
+      `
+        SELECT COUNT(DISTINCT ip_address) AS total
+        FROM claims
+        WHERE payout_method = ? COLLATE NOCASE
+          AND payout_id = ? COLLATE NOCASE
+          AND created_at >= ?
+          AND created_at <= ?
+      `,
+      [claim.payout_method, claim.payout_id, lookbackStart, claim.created_at]
+    );
+
+    const subnetBurst = claim.ip_subnet
+      ? await db.get(
+          `
+            SELECT COUNT(*) AS total
+            FROM claims
+            WHERE round_id = ?
+              AND ip_subnet = ?
+              AND created_at BETWEEN ? AND ?
+          `,
+          [claim.round_id, claim.ip_subnet, claim.created_at - burstWindowMs, claim.created_at + burstWindowMs]
+        )
+      : null;
+
+    const recentWins = await db.get(
+      `
+        SELECT COUNT(*) AS total
+        FROM past_winners
+        WHERE payout_method = ? COLLATE NOCASE
+          AND payout_id = ? COLLATE NOCASE
+          AND round_id <> ?
+          AND selected_at >= ?
+      `,
+      [claim.payout_method, claim.payout_id, claim.round_id, lookbackStart]
+    );
+
+    return {
+      earlierSameHandleInRound: sameHandle?.total || 0,
+      handleIpCount: handleIps?.total || 0,
+      subnet: claim.ip_subnet,
+      subnetBurstCount: subnetBurst?.total || 0,
+      recentWins: recentWins?.total || 0
+    };
+  }
+
+  // Scores are recomputed from scratch so a claim that looked clean when it
+  // arrived picks up flags caused by entries submitted after it.
+  async function scoreClaimFraud(claim) {
+    const signals = await collectClaimFraudSignals(claim);
+    const { score, flags } = scoreFraudSignals(signals, {
+      lookbackDays: FRAUD_LOOKBACK_DAYS,
+      handleIpCount: FRAUD_HANDLE_IP_THRESHOLD,
+      subnetBurstCount: FRAUD_SUBNET_BURST_THRESHOLD,
+      subnetBurstSeconds: FRAUD_SUBNET_BURST_SECONDS
+    });
+
+    const now = clock.now();
+    await db.run("DELETE FROM claim_fraud_flags WHERE claim_id = ?", [claim.id]);
+    for (const flag of flags) {
+      await db.run(
+        `
+          INSERT INTO claim_fraud_flags (claim_id, flag, weight, detail, created_at)
+          VALUES (?, ?, ?, ?, ?)
+        `,
+        [claim.id, flag.flag, flag.weight, flag.detail, now]
+      );
+    }
+    await db.run("UPDATE claims SET fraud_score = ? WHERE id = ?", [score, claim.id]);
+
+    return { score, flags };
+  }
+
+  async function scoreRoundClaims(roundId) {
+    const claims = await db.all(
+      `
+        SELECT id, round_id, payout_method, payout_id, created_at, ip_subnet
+        FROM claims
+        WHERE round_id = ?
+        ORDER BY id ASC
+      `,
+      [roundId]
+    );
+
+    for (const claim of claims) {
+      await scoreClaimFraud(claim);
+    }
+
+    await db.run("UPDATE claims SET fraud_excluded = (? AND fraud_score >= ?) WHERE round_id = ?", [
+      FRAUD_EXCLUDE_FLAGGED ? 1 : 0,
+      FRAUD_EXCLUDE_SCORE,
+      roundId
+    ]);
+  }
+
+  async function getClaimFraudFlags(claimIds) {
+    if (!claimIds.length) {
+      return new Map();
+    }
+
+    const rows = await db.all(
+      `
+        SELECT claim_id, flag, weight, detail
+        FROM claim_fraud_flags
+        WHERE claim_id IN (${claimIds.map(() => "?").join(", ")})
+        ORDER BY weight DESC
+      `,
+      claimIds
+    );
+
+    const flagsByClaim = new Map();
+    for (const row of rows) {
+      const flags = flagsByClaim.get(row.claim_id) || [];
+      flags.push({ flag: row.flag, weight: row.weight, detail: row.detail, label: FRAUD_FLAGS[row.flag]?.label });
+      flagsByClaim.set(row.claim_id, flags);
+    }
+    return flagsByClaim;
+  }
+
+  // Rounds opened before seeds were committed keep the legacy random draw and
+  // have no public proof. Claims excluded for fraud are left out of both.
+  // Winners are returned in place order.
+  async function drawWinningClaims(roundId, count) {
+    const round = await db.get("SELECT id, seed FROM rounds WHERE id = ?", [roundId]);
+    if (!round?.seed) {
+      return db.all(
+        `
+          SELECT id, payout_method, payout_id, created_at
+          FROM claims
+          WHERE round_id = ?
+            AND fraud_excluded = 0
+          ORDER BY RANDOM()
+          LIMIT ?
+        `,
+        [roundId, count]
+      );
+    }
+
+    const entries = await db.all(
+      "SELECT id FROM claims WHERE round_id = ? AND fraud_excluded = 0 ORDER BY id ASC",
+      [roundId]
+    );
+    const entryIds = entries.map((entry) => entry.id);
+    await db.run("UPDATE rounds SET entries_hash = ?, entry_count = ? WHERE id = ?", [
+      hashEntries(entryIds),
+      entryIds.length,
+      roundId
+    ]);
+
+    const winners = [];
+    for (const claimId of pickWinnerEntryIds(round.seed, roundId, entryIds, count)) {
+      winners.push(
+        await db.get("SELECT id, payout_method, payout_id, created_at FROM claims WHERE id = ?", [claimId])
+      );
+    }
+    return winners;
+  }
+
+  async function getRoundProof(roundId) {
+    const round = await db.get(
+      `
+        SELECT id, opened_at, expires_at, status, closed_at, seed, seed_hash, entries_hash, entry_count, prize_tiers
+        FROM rounds
+        WHERE id = ?
+      `,
+      [roundId]
+    );
+    if (!round || !round.seed_hash) {
+      return null;
+    }
+
+    const isClosed = round.status === "closed";
+    const entries = await db.all(
+      "SELECT id FROM claims WHERE round_id = ? AND fraud_excluded = 0 ORDER BY id ASC",
+      [round.id]
+    );
+    const excluded = await db.get(
+      "SELECT COUNT(*) AS total FROM claims WHERE round_id = ? AND fraud_excluded = 1",
+      [round.id]
+    );
+    const winners = await db.all("SELECT claim_id FROM past_winners WHERE round_id = ? ORDER BY place ASC", [
+      round.id
+    ]);
+
+    return {
+      algorithm: FAIRNESS_ALGORITHM,
+      roundId: round.id,
+      status: round.status,
+      openedAt: round.opened_at,
+      expiresAt: round.expires_at,
+      closedAt: round.closed_at,
+      seedHash: round.seed_hash,
+      seed: isClosed ? round.seed : null,
+      entries: sortEntryIds(entries.map((entry) => entry.id)),
+      entriesHash: isClosed ? round.entries_hash : null,
+      entryCount: isClosed ? round.entry_count : entries.length,
+      excludedCount: excluded?.total || 0,
+      winnerCount: getRoundPrizeTiers(round).length,
+      winnerClaimIds: winners.map((winner) => winner.claim_id),
+      winnerClaimId: winners[0]?.claim_id ?? null
+    };
+  }
+
+  const PUBLIC_ROUND_COLUMNS = `
+    rounds.id,
+    rounds.status,
+    rounds.opened_at,
+    rounds.expires_at,
+    rounds.closed_at,
+    rounds.seed_hash,
+    (SELECT COUNT(*) FROM claims WHERE claims.round_id = rounds.id) AS entrant_count
+  `;
+
+  // Public responses show a masked handle unless the winner opted in to full
+  // display. Handles erased on request are shown as anonymous.
+  function getPublicWinnerHandle(winner) {
+    if (winner.payout_id === ERASED_PAYOUT_ID || String(winner.payout_id || "").startsWith("hmac:")) {
+      return "Anonymous";
+    }
+
+    return winner.show_full_handle ? winner.payout_id : maskPayoutHandle(winner.payout_id);
+  }
+
+  async function buildPublicRounds(rounds) {
+    if (!rounds.length) {
+      return [];
+    }
+
+    const roundIds = rounds.map((round) => round.id);
+    const winners = await db.all(
+      `
+        SELECT round_id, place, payout_id, show_full_handle, prize_amount_cents, payout_status, payout_sent_at
+        FROM past_winners
+        WHERE round_id IN (${roundIds.map(() => "?").join(", ")})
+        ORDER BY round_id, place ASC
+      `,
+      roundIds
+    );
+
+    const winnersByRound = new Map();
+    for (const winner of winners) {
+      const roundWinners = winnersByRound.get(winner.round_id) || [];
+      roundWinners.push({
+        place: winner.place,
+        handle: getPublicWinnerHandle(winner),
+        prizeAmountCents: winner.prize_amount_cents,
+        paid: winner.payout_status === "sent",
+        paidAt: winner.payout_status === "sent" ? winner.payout_sent_at : null
+      });
+      winnersByRound.set(winner.round_id, roundWinners);
+    }
+
+    return rounds.map((round) => ({
+      id: round.id,
+      status: round.status,
+      openedAt: round.opened_at,
+      expiresAt: round.expires_at,
+      closedAt: round.closed_at,
+      entrantCount: round.entrant_count,
+      winners: winnersByRound.get(round.id) || [],
+      proofUrl: round.seed_hash ? `/rounds/${encodeURIComponent(round.id)}/proof` : null
+    }));
+  }
+
+  // Scoring, the draw, the winner rows and closing the round commit together,
+  // so a round that is still open has never been drawn and a crash part way
+  // leaves it open for recoverOpenRounds to draw again on the next start.
+  async function closeWindowAndPickWinner(roundId) {
+    clock.clearTimeout(roundCloseTimers.get(roundId));
+    roundCloseTimers.delete(roundId);
+
+    let winnerClaims;
+    await db.exec("BEGIN IMMEDIATE");
+    try {
+      const round = await db.get("SELECT status, prize_tiers FROM rounds WHERE id = ?", [roundId]);
+      if (round?.status !== "open") {
+        await db.exec("ROLLBACK");
+        return;
+      }
+
+      await scoreRoundClaims(roundId);
+      const prizeTiers = getRoundPrizeTiers(round);
+      winnerClaims = await drawWinningClaims(roundId, prizeTiers.length);
+
+      if (winnerClaims.length) {
+        const selectedAt = clock.now();
+        const claimIds = winnerClaims.map((winnerClaim) => winnerClaim.id);
+        await db.run(
+          `
+            INSERT INTO past_winners (
+              round_id,
+              claim_id,
+              payout_method,
+              payout_id,
+              claim_created_at,
+              selected_at,
+              place,
+              prize_amount_cents
+            )
+            VALUES ${winnerClaims.map(() => "(?, ?, ?, ?, ?, ?, ?, ?)").join(", ")}
+          `,
+          winnerClaims.flatMap((winnerClaim, index) => [
+            roundId,
+            winnerClaim.id,
+            winnerClaim.payout_method,
+            winnerClaim.payout_id,
+            winnerClaim.created_at,
+            selectedAt,
+            index + 1,
+            prizeTiers[index]
+          ])
+        );
+        await db.run(`UPDATE claims SET is_winner = 1 WHERE id IN (${claimIds.map(() => "?").join(", ")})`, claimIds);
+      }
+
+      await db.run("UPDATE rounds SET status = 'closed', closed_at = ? WHERE id = ?", [clock.now(), roundId]);
+      await db.exec("COMMIT");
+    } catch (err) {
+      await db.exec("ROLLBACK");
+      throw err;
+    }
+
+    scheduleStateBroadcast();
+
+    if (!winnerClaims.length) {
+      console.log(`Window closed for round ${roundId} with no claims`);
+      sendOperatorAlert("roundClosedEmpty", { roundId });
+      return;
+    }
+
+    const claimIds = winnerClaims.map((winnerClaim) => winnerClaim.id);
+    console.log(`Winners selected for round ${roundId}: claims ${claimIds.join(", ")}`);
+
+    const totals = await db.get("SELECT COUNT(*) AS totalPlayers FROM claims WHERE round_id = ?", [roundId]);
+    sendOperatorAlert("winnerSelected", {
+      roundId,
+      claimIds,
+      totalPlayers: totals?.totalPlayers || 0
+    });
+  }
+
+  // Rounds left open by a restart either resume their remaining window or,
+  // if they expired while the server was down, are closed and drawn now.
+  async function recoverOpenRounds() {
+    const openRounds = await db.all(
+      `
+        SELECT id, opened_at, expires_at, status
+        FROM rounds
+        WHERE status = 'open'
+        ORDER BY opened_at ASC
+      `
+    );
+
+    for (const round of openRounds) {
+      if (round.expires_at <= clock.now()) {
+        console.log(`Closing overdue round ${round.id}`);
+        await closeWindowAndPickWinner(round.id);
+        continue;
+      }
+
+      console.log(`Resuming round ${round.id} with ${getRoundRemainingSeconds(round)}s remaining`);
+      scheduleRoundClose(round);
+    }
+  }
+
+  async function getSkipDay(day) {
+    const row = await db.get("SELECT day, reason, created_at FROM draw_skip_days WHERE day = ?", [day]);
+    return row || null;
+  }
+
+  async function recordScheduledOpening(day, status, { roundId = null, detail = null } = {}) {
+    await db.run(
+      `
+        INSERT INTO scheduled_openings (day, scheduled_for, status, round_id, detail, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(day) DO UPDATE SET
+          status = excluded.status,
+          round_id = excluded.round_id,
+          detail = excluded.detail,
+          recorded_at = excluded.recorded_at
+      `,
+      [day, getDrawStartMs(), status, roundId, detail, clock.now()]
+    );
+  }
+
+  async function openScheduledRound({ seconds = getSetting("drawWindowSeconds"), late = false } = {}) {
+    const day = getDrawDayKey();
+
+    const skipDay = await getSkipDay(day);
+    if (skipDay) {
+      await recordScheduledOpening(day, "skipped", { detail: skipDay.reason || "Skip day" });
+      console.log(`Scheduled draw skipped for ${day}`);
+      return null;
+    }
+
+    if (await hasWinnerToday()) {
+      await recordScheduledOpening(day, "skipped", { detail: "A winner has already been selected today" });
+      return null;
+    }
+
+    const existingRound = await getOpenRound();
+    if (existingRound) {
+      await recordScheduledOpening(day, "opened", {
+        roundId: existingRound.id,
+        detail: "A window was already open"
+      });
+      return existingRound;
+    }
+
+    const round = await openRound(seconds);
+    await recordScheduledOpening(day, "opened", {
+      roundId: round.id,
+      detail: late ? `Opened late for the remaining ${seconds}s` : null
+    });
+
+    console.log(`Scheduled window open for ${seconds}s (round ${round.id})`);
+    return round;
+  }
+
+  // If the server was down at draw time, open late while the advertised window
+  // is still running; otherwise record today's opening as missed.
+  async function checkMissedScheduledOpening() {
+    const now = new Date(clock.now());
+    const countdownState = getDailyCountdownState(now);
+    if (!countdownState.isPastDrawTime) {
+      return;
+    }
+
+    const day = getDrawDayKey(now);
+    const existing = await db.get("SELECT status FROM scheduled_openings WHERE day = ?", [day]);
+    if (existing) {
+      return;
+    }
+
+    if (countdownState.isWithinOpeningGrace) {
+      const remainingSeconds = Math.floor(
+        (getDrawStartMs(now) + getSetting("drawWindowSeconds") * 1000 - now.getTime()) / 1000
+      );
+      if (remainingSeconds > 0) {
+        await openScheduledRound({ seconds: remainingSeconds, late: true });
+        return;
+      }
+    }
+
+    const roundToday = await db.get("SELECT id FROM rounds WHERE opened_at >= ? LIMIT 1", [
+      drawMidnightMs(now)
+    ]);
+    if (roundToday || (await getSkipDay(day)) || (await hasWinnerToday())) {
+      return;
+    }
+
+    await recordScheduledOpening(day, "missed", { detail: "Server was not running at draw time" });
+    console.log(`Scheduled draw for ${day} was missed`);
+    sendOperatorAlert("scheduledOpenFailed", { day, reason: "Server was not running at draw time." });
+  }
+
+  function parseAmountToCents(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    const match = String(value).trim().replace(/^\$/, "").match(/^(\d{1,6})(?:\.(\d{1,2}))?$/);
+    if (!match) {
+      return NaN;
+    }
+
+    return Number.parseInt(match[1], 10) * 100 + Number.parseInt((match[2] || "0").padEnd(2, "0"), 10);
+  }
+
+  async function getUnpaidWinners(olderThanHours = getSetting("unpaidWinnerHours")) {
+    return db.all(
+      `
+        SELECT
+          id,
+          round_id,
+          claim_id,
+          payout_method,
+          payout_id,
+          selected_at,
+          payout_status,
+          payout_reference,
+          payout_notes,
+          payout_updated_at,
+          place,
+          prize_amount_cents
+        FROM past_winners
+        WHERE payout_status IN ('pending', 'failed', 'returned', 'sending', 'unknown')
+          AND selected_at <= ?
+        ORDER BY selected_at ASC
+      `,
+      [clock.now() - olderThanHours * 60 * 60 * 1000]
+    );
+  }
+
+  const WINNER_PAYOUT_COLUMNS = `
+    id,
+    payout_status,
+    payout_amount_cents,
+    payout_reference,
+    payout_sent_at,
+    payout_notes,
+    payout_updated_at,
+    payout_provider,
+    payout_provider_status
+  `;
+
+  async function applyPayoutResult(winnerId, provider, result) {
+    const now = clock.now();
+    await db.run(
+      `
+        UPDATE past_winners
+        SET payout_status = ?,
+            payout_provider = ?,
+            payout_provider_status = ?,
+            payout_reference = COALESCE(?, payout_reference),
+            payout_sent_at = CASE WHEN ? = 'sent' THEN COALESCE(payout_sent_at, ?) ELSE payout_sent_at END,
+            payout_notes = COALESCE(?, payout_notes),
+            payout_updated_at = ?
+        WHERE id = ?
+      `,
+      [
+        result.status,
+        provider,
+        result.providerStatus || null,
+        result.reference || null,
+        result.status,
+        now,
+        result.detail || null,
+        now,
+        winnerId
+      ]
+    );
+
+    return db.get(`SELECT ${WINNER_PAYOUT_COLUMNS} FROM past_winners WHERE id = ?`, [winnerId]);
+  }
+
+  // Without an explicit amount the winner is paid the prize for their place.
+  // The row is claimed as 'sending' before the provider is called so two
+  // clicks cannot both pay. Each attempt has a fixed batch id: a new one is
+  // only started after a definite failed or returned payout, and retrying an
+  // 'unknown' payout reuses the old id so the provider drops the duplicate.
+  async function sendWinnerPayout(winnerId, requestedAmountCents = null) {
+    const provider = getPayoutProvider();
+    const winner = await db.get(
+      `
+        SELECT id, payout_method, payout_id, payout_status, payout_provider, payout_reference, prize_amount_cents
+        FROM past_winners
+        WHERE id = ?
+      `,
+      [winnerId]
+    );
+    if (!winner) {
+      return { error: { status: 404, msg: "Winner not found" } };
+    }
+
+    if (!provider.supports(winner.payout_method)) {
+      return {
+        error: { status: 400, msg: `${provider.name} cannot pay ${winner.payout_method} handles` }
+      };
+    }
+
+    const amountCents = requestedAmountCents ?? winner.prize_amount_cents ?? getSetting("prizeAmountCents");
+    const claimed = await db.run(
+      `
+        UPDATE past_winners
+        SET payout_status = 'sending',
+            payout_attempt = CASE
+              WHEN payout_attempt = 0 OR payout_status IN ('failed', 'returned') THEN payout_attempt + 1
+              ELSE payout_attempt
+            END,
+            payout_amount_cents = ?,
+            payout_provider = ?,
+            payout_updated_at = ?
+        WHERE id = ?
+          AND payout_status NOT IN ('sent', 'sending')
+          AND NOT (payout_status = 'pending' AND payout_reference IS NOT NULL AND payout_provider IS NOT NULL)
+      `,
+      [amountCents, provider.name, clock.now(), winnerId]
+    );
+    if (!claimed.changes) {
+      const current = await db.get("SELECT payout_status FROM past_winners WHERE id = ?", [winnerId]);
+      return {
+        error: {
+          status: 409,
+          msg:
+            current?.payout_status === "sent"
+              ? "This winner has already been paid"
+              : "A payout is already in progress for this winner"
+        }
+      };
+    }
+
+    const { payout_attempt: attempt } = await db.get("SELECT payout_attempt FROM past_winners WHERE id = ?", [winnerId]);
+    let result;
+    try {
+      result = await provider.send({
+        winnerId,
+        batchId: `winner-${winnerId}-${attempt}`,
+        method: winner.payout_method,
+        recipient: winner.payout_id,
+        amountCents,
+        currency: PAYOUT_CURRENCY,
+        note: PAYOUT_NOTE
+      });
+    } catch (err) {
+      console.error(`Payout send error for winner ${winnerId}:`, err);
+      result = {
+        status: "unknown",
+        reference: null,
+        providerStatus: null,
+        detail: `The payout may or may not have gone through (${err.message}). Check ${provider.name}, then retry or record it.`
+      };
+    }
+
+    return { winner: await applyPayoutResult(winnerId, provider.name, result) };
+  }
+
+  // A send interrupted by a crash or restart leaves the row 'sending'; after a
+  // while it is handed back to an operator as 'unknown'.
+  async function releaseStalePayoutSends() {
+    const result = await db.run(
+      `
+        UPDATE past_winners
+        SET payout_status = 'unknown',
+            payout_notes = 'The payout send was interrupted. Check the provider, then retry or record it.',
+            payout_updated_at = ?
+        WHERE payout_status = 'sending'
+          AND payout_updated_at <= ?
+      `,
+      [clock.now(), clock.now() - PAYOUT_SENDING_STALE_MS]
+    );
+    if (result.changes) {
+      console.log(`Marked ${result.changes} interrupted payout(s) as unknown`);
+    }
+  }
+
+  async function buildPublicState() {
+    const now = new Date(clock.now());
+    const openRound = await getOpenRound();
+    const todaySummary = await getTodayDrawSummary();
+    const countdownState = getDailyCountdownState(now);
+    const recentWinners = await db.all(
+      `
+        SELECT payout_id, show_full_handle
+        FROM past_winners
+        ORDER BY selected_at DESC, place ASC
+        LIMIT 10
+      `
+    );
+    const recent = recentWinners.map((winner) => ({ payout_id: getPublicWinnerHandle(winner) }));
+
+    return {
+      openWindow: Boolean(openRound),
+      remaining: getRoundRemainingSeconds(openRound, now.getTime()),
+      roundId: openRound?.id || null,
+      roundSeedHash: openRound?.seed_hash || null,
+      roundPrizes: openRound ? getRoundPrizeTiers(openRound) : null,
+      recent,
+      hasWinnerToday: await hasWinnerToday(),
+      totalPlayersToday: todaySummary.totalPlayers,
+      winnerPayoutId: todaySummary.winnerPayoutId,
+      todayWinners: todaySummary.winners,
+      timeZoneLabel: countdownState.timeZoneLabel,
+      showDailyCountdown: countdownState.showCountdown,
+      countdownToDrawSeconds: countdownState.countdownSeconds,
+      isPastDailyDrawTime: countdownState.isPastDrawTime,
+      isWithinDailyDrawGrace: countdownState.isWithinOpeningGrace,
+      settings: getPublicSettings(gameSettings),
+      captcha: captchaVerifier?.clientConfig || null
+    };
+  }
+
+  function writeStreamEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function broadcastStreamEvent(event, data) {
+    for (const client of eventStreamClients) {
+      writeStreamEvent(client, event, data);
+    }
+  }
+
+  // State is computed once per broadcast and shared by every connected client.
+  async function broadcastState() {
+    if (!eventStreamClients.size) {
+      return;
+    }
+
+    lastStreamedState = await buildPublicState();
+    lastStateBroadcastAt = clock.now();
+    broadcastStreamEvent("state", lastStreamedState);
+  }
+
+  function scheduleStateBroadcast() {
+    if (stateBroadcastTimer) {
+      return;
+    }
+
+    stateBroadcastTimer = clock.setTimeout(() => {
+      stateBroadcastTimer = null;
+      return broadcastState().catch((err) => {
+        console.error("State broadcast error:", err);
+      });
+    }, EVENT_STREAM_DEBOUNCE_MS);
+  }
+
+  function tickEventStream() {
+    if (!eventStreamClients.size) {
+      return;
+    }
+
+    const now = clock.now();
+    if (lastStreamedState?.openWindow || now - lastStateBroadcastAt >= EVENT_STREAM_IDLE_INTERVAL_MS) {
+      broadcastState().catch((err) => {
+        console.error("State broadcast error:", err);
+      });
+    }
+
+    if (now - lastHeartbeatAt >= EVENT_STREAM_HEARTBEAT_MS) {
+      lastHeartbeatAt = now;
+      for (const client of eventStreamClients) {
+        client.write(": heartbeat\n\n");
+      }
+    }
+  }
+
+  app.get("/state", rateLimit("state"), async (req, res) => {
+    try {
+      res.json(await buildPublicState());
+    } catch (err) {
+      console.error("State error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  // Each stream holds a socket open, so one address gets a limited number. The
+  // cap is generous because carrier NAT puts many players behind one address;
+  // pages that are turned away fall back to polling /state.
+  app.get("/events", rateLimit("state"), async (req, res) => {
+    try {
+      const ipAddress = getClientIp(req) || "unknown";
+      const openStreams = eventStreamCountsByIp.get(ipAddress) || 0;
+      if (openStreams >= EVENT_STREAM_MAX_PER_IP) {
+        return res.status(429).json({ ok: false, msg: "Too many live connections from your network." });
+      }
+
+      eventStreamCountsByIp.set(ipAddress, openStreams + 1);
+      req.on("close", () => {
+        eventStreamClients.delete(res);
+        const remaining = (eventStreamCountsByIp.get(ipAddress) || 1) - 1;
+        if (remaining > 0) {
+          eventStreamCountsByIp.set(ipAddress, remaining);
+        } else {
+          eventStreamCountsByIp.delete(ipAddress);
+        }
+      });
+
+      const initialState = await buildPublicState();
+      if (res.destroyed) {
+        return;
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
+      });
+      res.flushHeaders();
+      res.write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`);
+      writeStreamEvent(res, "state", initialState);
+      eventStreamClients.add(res);
+    } catch (err) {
+      console.error("Event stream error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/rounds", async (req, res) => {
+    try {
+      const filters = [];
+      const params = [];
+
+      const from = Number.parseInt(req.query.from || "", 10);
+      if (from) {
+        filters.push("rounds.opened_at >= ?");
+        params.push(from);
+      }
+
+      const to = Number.parseInt(req.query.to || "", 10);
+      if (to) {
+        filters.push("rounds.opened_at < ?");
+        params.push(to);
+      }
+
+      const before = Number.parseInt(req.query.before || "", 10);
+      if (before) {
+        filters.push("rounds.opened_at < ?");
+        params.push(before);
+      }
+
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit || "20", 10) || 20));
+      const rows = await db.all(
+        `
+          SELECT ${PUBLIC_ROUND_COLUMNS}
+          FROM rounds
+          ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+          ORDER BY rounds.opened_at DESC
+          LIMIT ?
+        `,
+        [...params, limit + 1]
+      );
+
+      const hasMore = rows.length > limit;
+      const page = rows.slice(0, limit);
+
+      res.json({
+        ok: true,
+        rounds: await buildPublicRounds(page),
+        nextBefore: hasMore ? page[page.length - 1].opened_at : null
+      });
+    } catch (err) {
+      console.error("Rounds fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/rounds/:id", async (req, res) => {
+    try {
+      const row = await db.get(`SELECT ${PUBLIC_ROUND_COLUMNS} FROM rounds WHERE rounds.id = ?`, [req.params.id]);
+      if (!row) {
+        return res.status(404).json({ ok: false, msg: "Round not found" });
+      }
+
+      const [round] = await buildPublicRounds([row]);
+      res.json({ ok: true, round });
+    } catch (err) {
+      console.error("Round fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/rounds/:id/proof", async (req, res) => {
+    try {
+      const proof = await getRoundProof(req.params.id);
+      if (!proof) {
+        return res.status(404).json({ ok: false, msg: "No fairness proof for this round" });
+      }
+
+      res.json({ ok: true, proof });
+    } catch (err) {
+      console.error("Round proof error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/chat/messages", async (req, res) => {
+    try {
+      const afterId = Math.max(0, Number.parseInt(req.query.after || "0", 10) || 0);
+      const ipAddress = getClientIp(req);
+      const syncSince = clock.now() - CHAT_MODERATION_SYNC_MS;
+      let messages;
+
+      // Held messages are only returned to the IP that sent them. Messages
+      // approved recently are re-sent so polling clients pick them up.
+      if (afterId > 0) {
+        messages = await db.all(
+          `
+            SELECT id, nickname, message, created_at, sender_role, moderation_status
+            FROM chat_messages
+            WHERE (id > ? OR (moderation_status = 'visible' AND reviewed_at >= ?))
+              AND deleted_at IS NULL
+              AND (moderation_status = 'visible' OR (moderation_status = 'pending' AND ip_address = ?))
+            ORDER BY id ASC
+            LIMIT ${CHAT_FETCH_LIMIT}
+          `,
+          [afterId, syncSince, ipAddress]
+        );
+      } else {
+        messages = await db.all(
+          `
+            SELECT id, nickname, message, created_at, sender_role, moderation_status
+            FROM chat_messages
+            WHERE deleted_at IS NULL
+              AND (moderation_status = 'visible' OR (moderation_status = 'pending' AND ip_address = ?))
+            ORDER BY id DESC
+            LIMIT ${CHAT_FETCH_LIMIT}
+          `,
+          [ipAddress]
+        );
+        messages.reverse();
+      }
+
+      const lastMessageId = messages.reduce((maxId, message) => Math.max(maxId, message.id), afterId);
+      const removed = await db.all(
+        `
+          SELECT id
+          FROM chat_messages
+          WHERE deleted_at >= ?
+            OR (moderation_status = 'rejected' AND reviewed_at >= ?)
+          ORDER BY id DESC
+          LIMIT ${CHAT_FETCH_LIMIT}
+        `,
+        [syncSince, syncSince]
+      );
+
+      res.json({
+        ok: true,
+        messages,
+        lastMessageId,
+        deletedIds: removed.map((row) => row.id),
+        slowModeMs: getSetting("chatSlowModeSeconds") * 1000
+      });
+    } catch (err) {
+      console.error("Chat fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/chat/messages", async (req, res) => {
+    try {
+      const ipAddress = getClientIp(req);
+      if (!ipAddress) {
+        return res.status(400).json({ ok: false, msg: "Could not verify your network address" });
+      }
+
+      const activeBan = await getActiveChatBan(ipAddress);
+      if (activeBan) {
+        return res.status(403).json({ ok: false, msg: getChatBanMessage(activeBan) });
+      }
+
+      const nickname = DEFAULT_CHAT_NICKNAME;
+      const message = sanitizeChatMessage(req.body.message);
+      const moderation = findChatModerationRule(message);
+      const policy = moderation ? getChatFilterPolicy(moderation.category) : null;
+      if (policy === "reject") {
+        return res.status(400).json({ ok: false, msg: moderation.message });
+      }
+
+      const rateLimitMessage = getChatRateLimitMessage(ipAddress);
+      if (rateLimitMessage) {
+        return res.status(429).json({ ok: false, msg: rateLimitMessage });
+      }
+
+      if (await isDuplicateRecentChatMessage(ipAddress, message)) {
+        return res.status(409).json({ ok: false, msg: "You already sent that message recently." });
+      }
+
+      const createdAt = clock.now();
+      const moderationStatus = policy === "hold" ? "pending" : "visible";
+      const result = await db.run(
+        `
+          INSERT INTO chat_messages (
+            nickname,
+            message,
+            created_at,
+            ip_address,
+            sender_role,
+            moderation_status,
+            moderation_category,
+            moderation_rule,
+            flagged
+          )
+          VALUES (?, ?, ?, ?, 'player', ?, ?, ?, ?)
+        `,
+        [
+          nickname,
+          message,
+          createdAt,
+          ipAddress,
+          moderationStatus,
+          moderation?.category || null,
+          moderation ? JSON.stringify(moderation.rule) : null,
+          policy === "flag" ? 1 : 0
+        ]
+      );
+
+      const chatMessage = {
+        id: result.lastID,
+        nickname,
+        message,
+        created_at: createdAt,
+        sender_role: "player",
+        moderation_status: moderationStatus
+      };
+      if (moderationStatus === "visible") {
+        broadcastStreamEvent("chat", chatMessage);
+      }
+
+      res.json({
+        ok: true,
+        message: chatMessage,
+        msg: moderationStatus === "pending" ? "Your message is waiting for a moderator to review it." : undefined
+      });
+    } catch (err) {
+      console.error("Chat post error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/login", async (req, res) => {
+    try {
+      const ipAddress = getClientIp(req);
+      const lockMessage = getAdminLoginLockMessage(ipAddress);
+      if (lockMessage) {
+        return res.status(429).json({ ok: false, msg: lockMessage });
+      }
+
+      const username = String(req.body.username || "").trim().toLowerCase();
+      const password = String(req.body.password || "");
+      const user = await db.get(
+        "SELECT id, username, password_hash, role FROM admin_users WHERE username = ? AND disabled_at IS NULL",
+        [username]
+      );
+
+      if (!user || !(await verifyPassword(password, user.password_hash))) {
+        recordAdminLoginFailure(ipAddress);
+        await recordAdminAudit(req, "admin.login_failed", { params: { username }, actor: null });
+        return res.status(401).json({ ok: false, msg: "Wrong username or password" });
+      }
+
+      adminLoginFailures.delete(ipAddress);
+
+      const token = createSessionToken();
+      const csrfToken = createSessionToken();
+      const now = clock.now();
+      await db.run(
+        `
+          INSERT INTO admin_sessions (id, user_id, csrf_token, ip_address, created_at, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `,
+        [hashSessionToken(token), user.id, csrfToken, ipAddress, now, now + ADMIN_SESSION_TTL_MS]
+      );
+      setAdminSessionCookie(req, res, token, ADMIN_SESSION_TTL_MS);
+      await recordAdminAudit(req, "admin.login", { actor: user });
+
+      res.json({
+        ok: true,
+        admin: { username: user.username, role: user.role },
+        csrfToken,
+        expiresAt: now + ADMIN_SESSION_TTL_MS
+      });
+    } catch (err) {
+      console.error("Admin login error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/session", async (req, res) => {
+    try {
+      const session = await getAdminSession(req);
+      if (!session) {
+        return res.status(401).json({ ok: false, msg: "unauthorized" });
+      }
+
+      res.json({
+        ok: true,
+        admin: { username: session.username, role: session.role },
+        csrfToken: session.csrf_token,
+        expiresAt: session.expires_at
+      });
+    } catch (err) {
+      console.error("Admin session error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/logout", async (req, res) => {
+    try {
+      const session = await getAdminSession(req);
+      if (session && !safeEqual(req.headers["x-csrf-token"], session.csrf_token)) {
+        return res.status(403).json({ ok: false, msg: "Invalid CSRF token" });
+      }
+
+      if (session) {
+        await db.run("DELETE FROM admin_sessions WHERE id = ?", [session.session_id]);
+        await recordAdminAudit(req, "admin.logout", { actor: session });
+      }
+      setAdminSessionCookie(req, res, "", 0);
+
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Admin logout error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/users", requireAdmin("accounts"), async (req, res) => {
+    try {
+      const users = await db.all(
+        `
+          SELECT id, username, role, created_at, disabled_at
+          FROM admin_users
+          ORDER BY username ASC
+        `
+      );
+
+      await recordAdminAudit(req, "admin_users.view");
+      res.json({ ok: true, users });
+    } catch (err) {
+      console.error("Admin users fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/users", requireAdmin("accounts"), async (req, res) => {
+    try {
+      const username = String(req.body.username || "").trim().toLowerCase();
+      const role = String(req.body.role || "").trim().toLowerCase();
+      const password = String(req.body.password || "");
+
+      if (!validateAdminUsername(username)) {
+        return res.status(400).json({
+          ok: false,
+          msg: "Usernames are 3-32 lowercase letters, digits, dots, dashes or underscores"
+        });
+      }
+
+      if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ ok: false, msg: `Role must be one of: ${ADMIN_ROLES.join(", ")}` });
+      }
+
+      if (!validateAdminPassword(password)) {
+        return res.status(400).json({ ok: false, msg: "Passwords must be at least 12 characters" });
+      }
+
+      try {
+        await db.run(
+          `
+            INSERT INTO admin_users (username, password_hash, role, created_at)
+            VALUES (?, ?, ?, ?)
+          `,
+          [username, await hashPassword(password), role, clock.now()]
+        );
+      } catch (err) {
+        if (err?.code === "SQLITE_CONSTRAINT") {
+          return res.status(409).json({ ok: false, msg: "That username is taken" });
+        }
+        throw err;
+      }
+
+      await recordAdminAudit(req, "admin_users.create", {
+        targetType: "admin_user",
+        targetId: username,
+        params: { role }
+      });
+      res.json({ ok: true, user: { username, role } });
+    } catch (err) {
+      console.error("Admin user create error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/users/:id/disable", requireAdmin("accounts"), async (req, res) => {
+    try {
+      const userId = Number(req.params.id);
+      if (userId === req.admin.id) {
+        return res.status(400).json({ ok: false, msg: "You cannot disable your own account" });
+      }
+
+      const result = await db.run(
+        "UPDATE admin_users SET disabled_at = ? WHERE id = ? AND disabled_at IS NULL",
+        [clock.now(), userId]
+      );
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Active admin not found" });
+      }
+
+      await db.run("DELETE FROM admin_sessions WHERE user_id = ?", [userId]);
+      await recordAdminAudit(req, "admin_users.disable", { targetType: "admin_user", targetId: userId });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Admin user disable error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/chat", requireAdmin("chat"), async (req, res) => {
+    try {
+      const message = sanitizeChatMessage(req.body.message);
+      if (!message) {
+        return res.status(400).json({ ok: false, msg: "Type a message before sending." });
+      }
+
+      const createdAt = clock.now();
+      const result = await db.run(
+        `
+          INSERT INTO chat_messages (nickname, message, created_at, ip_address, sender_role)
+          VALUES (?, ?, ?, ?, 'game_master')
+        `,
+        [GAME_MASTER_CHAT_NICKNAME, message, createdAt, getClientIp(req) || "admin"]
+      );
+
+      const chatMessage = {
+        id: result.lastID,
+        nickname: GAME_MASTER_CHAT_NICKNAME,
+        message,
+        created_at: createdAt,
+        sender_role: "game_master"
+      };
+      broadcastStreamEvent("chat", chatMessage);
+      await recordAdminAudit(req, "chat.post_game_master", {
+        targetType: "chat_message",
+        targetId: chatMessage.id,
+        params: { message }
+      });
+
+      res.json({ ok: true, message: chatMessage });
+    } catch (err) {
+      console.error("Admin chat post error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+
+  app.get("/admin/chat/messages", requireAdmin("chat"), async (req, res) => {
+    try {
+      const messages = await db.all(
+        `
+          SELECT
+            id,
+            nickname,
+            message,
+            created_at,
+            sender_role,
+            ip_address,
+            deleted_at,
+            deleted_by,
+            moderation_status,
+            moderation_category,
+            moderation_rule,
+            flagged,
+            reviewed_by,
+            reviewed_at
+          FROM chat_messages
+          ORDER BY id DESC
+          LIMIT ${CHAT_FETCH_LIMIT}
+        `
+      );
+
+      await recordAdminAudit(req, "chat.view_messages");
+      res.json({ ok: true, messages });
+    } catch (err) {
+      console.error("Admin chat fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.delete("/admin/chat/messages/:id", requireAdmin("chat"), async (req, res) => {
+    try {
+      const messageId = Number(req.params.id);
+      const result = await db.run(
+        "UPDATE chat_messages SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL",
+        [clock.now(), req.admin.username, messageId]
+      );
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Message not found" });
+      }
+
+      broadcastStreamEvent("chat-delete", { id: messageId });
+      await recordAdminAudit(req, "chat.delete_message", { targetType: "chat_message", targetId: messageId });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Admin chat delete error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  function parseChatFilterTermInput(body) {
+    const category = String(body.category || "").trim().toLowerCase();
+    const matchMode = String(body.matchMode || "compact").trim().toLowerCase();
+    const term = String(body.term || "").trim();
+
+    if (!CHAT_FILTER_CATEGORIES[category]) {
+      return { error: `Category must be one of: ${Object.keys(CHAT_FILTER_CATEGORIES).join(", ")}` };
+    }
+
+    if (!CHAT_FILTER_MATCH_MODES.includes(matchMode)) {
+      return { error: `Match mode must be one of: ${CHAT_FILTER_MATCH_MODES.join(", ")}` };
+    }
+
+    if (!term || term.length > CHAT_FILTER_MAX_TERM_LENGTH) {
+      return { error: `Terms must be 1-${CHAT_FILTER_MAX_TERM_LENGTH} characters` };
+    }
+
+    try {
+      const rule = compileChatFilterRule({ id: 0, category, term, match_mode: matchMode });
+      if (matchMode !== "regex" && !rule.phraseTerm) {
+        return { error: "That term has no letters or digits left after normalization" };
+      }
+    } catch (err) {
+      return { error: err.message };
+    }
+
+    return { category, matchMode, term };
+  }
+
+  app.get("/admin/chat/filters", requireAdmin("chat"), async (req, res) => {
+    try {
+      const category = String(req.query.category || "").trim().toLowerCase();
+      const terms = await db.all(
+        `
+          SELECT id, category, term, match_mode, created_by, created_at, updated_at
+          FROM chat_filter_terms
+          ${category ? "WHERE category = ?" : ""}
+          ORDER BY category ASC, term ASC
+        `,
+        category ? [category] : []
+      );
+
+      res.json({
+        ok: true,
+        categories: Object.keys(CHAT_FILTER_CATEGORIES),
+        matchModes: CHAT_FILTER_MATCH_MODES,
+        terms
+      });
+    } catch (err) {
+      console.error("Chat filter fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/chat/filters", requireAdmin("chat"), async (req, res) => {
+    try {
+      const input = parseChatFilterTermInput(req.body);
+      if (input.error) {
+        return res.status(400).json({ ok: false, msg: input.error });
+      }
+
+      const now = clock.now();
+      let result;
+      try {
+        result = await db.run(
+          `
+            INSERT INTO chat_filter_terms (category, term, match_mode, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `,
+          [input.category, input.term, input.matchMode, req.admin.username, now, now]
+        );
+      } catch (err) {
+        if (err?.code === "SQLITE_CONSTRAINT") {
+          return res.status(409).json({ ok: false, msg: "That term is already on the list" });
+        }
+        throw err;
+      }
+
+      await loadChatFilterRules();
+      await recordAdminAudit(req, "chat_filter.create", {
+        targetType: "chat_filter_term",
+        targetId: result.lastID,
+        params: input
+      });
+      res.json({ ok: true, term: { id: result.lastID, ...input } });
+    } catch (err) {
+      console.error("Chat filter create error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.put("/admin/chat/filters/:id", requireAdmin("chat"), async (req, res) => {
+    try {
+      const termId = Number(req.params.id);
+      const input = parseChatFilterTermInput(req.body);
+      if (input.error) {
+        return res.status(400).json({ ok: false, msg: input.error });
+      }
+
+      let result;
+      try {
+        result = await db.run(
+          `
+            UPDATE chat_filter_terms
+            SET category = ?, term = ?, match_mode = ?, updated_at = ?
+            WHERE id = ?
+          `,
+          [input.category, input.term, input.matchMode, clock.now(), termId]
+        );
+      } catch (err) {
+        if (err?.code === "SQLITE_CONSTRAINT") {
+          return res.status(409).json({ ok: false, msg: "That term is already on the list" });
+        }
+        throw err;
+      }
+
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Filter term not found" });
+      }
+
+      await loadChatFilterRules();
+      await recordAdminAudit(req, "chat_filter.update", {
+        targetType: "chat_filter_term",
+        targetId: termId,
+        params: input
+      });
+      res.json({ ok: true, term: { id: termId, ...input } });
+    } catch (err) {
+      console.error("Chat filter update error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.delete("/admin/chat/filters/:id", requireAdmin("chat"), async (req, res) => {
+    try {
+      const termId = Number(req.params.id);
+      const existing = await db.get("SELECT category, term, match_mode FROM chat_filter_terms WHERE id = ?", [termId]);
+      if (!existing) {
+        return res.status(404).json({ ok: false, msg: "Filter term not found" });
+      }
+
+      await db.run("DELETE FROM chat_filter_terms WHERE id = ?", [termId]);
+      await loadChatFilterRules();
+      await recordAdminAudit(req, "chat_filter.delete", {
+        targetType: "chat_filter_term",
+        targetId: termId,
+        params: existing
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Chat filter delete error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/chat/filters/test", requireAdmin("chat"), async (req, res) => {
+    try {
+      const message = sanitizeChatMessage(req.body.message);
+      const match = findChatModerationRule(message);
+
+      res.json({
+        ok: true,
+        sanitizedMessage: message,
+        phraseNormalized: normalizeChatForPhraseMatch(message),
+        compactNormalized: normalizeChatForCompactMatch(message),
+        outcome: match ? getChatFilterPolicy(match.category) : "allow",
+        match
+      });
+    } catch (err) {
+      console.error("Chat filter test error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/chat/queue", requireAdmin("chat"), async (req, res) => {
+    try {
+      const messages = await db.all(
+        `
+          SELECT id, message, created_at, ip_address, moderation_category, moderation_rule
+          FROM chat_messages
+          WHERE moderation_status = 'pending'
+            AND deleted_at IS NULL
+          ORDER BY id ASC
+        `
+      );
+
+      await recordAdminAudit(req, "chat.view_queue");
+      res.json({
+        ok: true,
+        messages: messages.map((message) => ({
+          ...message,
+          moderation_rule: message.moderation_rule ? JSON.parse(message.moderation_rule) : null
+        }))
+      });
+    } catch (err) {
+      console.error("Chat queue fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  async function reviewHeldChatMessage(req, res, decision) {
+    try {
+      const messageId = Number(req.params.id);
+      const now = clock.now();
+      const result = await db.run(
+        `
+          UPDATE chat_messages
+          SET moderation_status = ?, reviewed_by = ?, reviewed_at = ?
+          WHERE id = ?
+            AND moderation_status = 'pending'
+            AND deleted_at IS NULL
+        `,
+        [decision === "approve" ? "visible" : "rejected", req.admin.username, now, messageId]
+      );
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Held message not found" });
+      }
+
+      const message = await db.get(
+        "SELECT id, nickname, message, created_at, sender_role, moderation_status FROM chat_messages WHERE id = ?",
+        [messageId]
+      );
+      if (decision === "approve") {
+        broadcastStreamEvent("chat", message);
+      } else {
+        broadcastStreamEvent("chat-delete", { id: messageId });
+      }
+
+      await recordAdminAudit(req, `chat.${decision}_held`, { targetType: "chat_message", targetId: messageId });
+      res.json({ ok: true, message });
+    } catch (err) {
+      console.error("Chat review error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  }
+
+  app.post("/admin/chat/messages/:id/approve", requireAdmin("chat"), (req, res) =>
+    reviewHeldChatMessage(req, res, "approve")
+  );
+
+  app.post("/admin/chat/messages/:id/reject", requireAdmin("chat"), (req, res) =>
+    reviewHeldChatMessage(req, res, "reject")
+  );
+
+  app.get("/admin/chat/policies", requireAdmin("chat"), async (req, res) => {
+    try {
+      const policies = await db.all(
+        `
+          SELECT category, policy, updated_by, updated_at
+          FROM chat_filter_policies
+          ORDER BY category ASC
+        `
+      );
+
+      res.json({ ok: true, options: CHAT_FILTER_POLICIES, policies });
+    } catch (err) {
+      console.error("Chat policy fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.put("/admin/chat/policies/:category", requireAdmin("chat"), async (req, res) => {
+    try {
+      const category = String(req.params.category || "").toLowerCase();
+      const policy = String(req.body.policy || "").trim().toLowerCase();
+
+      if (!CHAT_FILTER_CATEGORIES[category]) {
+        return res.status(404).json({ ok: false, msg: "Unknown filter category" });
+      }
+
+      if (!CHAT_FILTER_POLICIES.includes(policy)) {
+        return res.status(400).json({ ok: false, msg: `Policy must be one of: ${CHAT_FILTER_POLICIES.join(", ")}` });
+      }
+
+      await db.run(
+        `
+          INSERT INTO chat_filter_policies (category, policy, updated_by, updated_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(category) DO UPDATE SET
+            policy = excluded.policy,
+            updated_by = excluded.updated_by,
+            updated_at = excluded.updated_at
+        `,
+        [category, policy, req.admin.username, clock.now()]
+      );
+      await loadChatFilterRules();
+
+      await recordAdminAudit(req, "chat_filter.set_policy", {
+        targetType: "chat_filter_category",
+        targetId: category,
+        params: { policy }
+      });
+      res.json({ ok: true, category, policy });
+    } catch (err) {
+      console.error("Chat policy update error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/chat/bans", requireAdmin("chat"), async (req, res) => {
+    try {
+      const bans = await db.all(
+        `
+          SELECT id, ip_address, kind, reason, created_by, created_at, expires_at
+          FROM chat_bans
+          WHERE lifted_at IS NULL
+            AND (expires_at IS NULL OR expires_at > ?)
+          ORDER BY created_at DESC
+        `,
+        [clock.now()]
+      );
+
+      await recordAdminAudit(req, "chat.view_bans");
+      res.json({ ok: true, bans });
+    } catch (err) {
+      console.error("Admin chat bans fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/chat/bans", requireAdmin("chat"), async (req, res) => {
+    try {
+      const kind = String(req.body.kind || "").trim().toLowerCase();
+      if (!["mute", "ban"].includes(kind)) {
+        return res.status(400).json({ ok: false, msg: "Kind must be mute or ban" });
+      }
+
+      let ipAddress = normalizeIp(req.body.ipAddress);
+      const messageId = Number(req.body.messageId);
+      if (!ipAddress && messageId) {
+        const message = await db.get("SELECT ip_address, sender_role FROM chat_messages WHERE id = ?", [messageId]);
+        if (!message || message.sender_role !== "player") {
+          return res.status(404).json({ ok: false, msg: "Player message not found" });
+        }
+        ipAddress = message.ip_address;
+      }
+
+      if (!ipAddress) {
+        return res.status(400).json({ ok: false, msg: "Provide an IP address or a message id" });
+      }
+
+      const minutes = Number.parseInt(req.body.minutes || "0", 10) || 0;
+      if (kind === "mute" && (minutes < 1 || minutes > CHAT_MAX_MUTE_MINUTES)) {
+        return res.status(400).json({
+          ok: false,
+          msg: `Mutes must last between 1 and ${CHAT_MAX_MUTE_MINUTES} minutes`
+        });
+      }
+
+      const now = clock.now();
+      const expiresAt = minutes > 0 ? now + minutes * 60 * 1000 : null;
+      const reason = String(req.body.reason || "").trim().slice(0, 200) || null;
+      const result = await db.run(
+        `
+          INSERT INTO chat_bans (ip_address, kind, reason, created_by, created_at, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `,
+        [ipAddress, kind, reason, req.admin.username, now, expiresAt]
+      );
+
+      await recordAdminAudit(req, `chat.${kind}`, {
+        targetType: "ip_address",
+        targetId: ipAddress,
+        params: { banId: result.lastID, minutes: minutes || null, reason, messageId: messageId || null }
+      });
+      res.json({
+        ok: true,
+        ban: { id: result.lastID, ip_address: ipAddress, kind, reason, created_at: now, expires_at: expiresAt }
+      });
+    } catch (err) {
+      console.error("Admin chat ban error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/chat/bans/:id/lift", requireAdmin("chat"), async (req, res) => {
+    try {
+      const banId = Number(req.params.id);
+      const result = await db.run(
+        "UPDATE chat_bans SET lifted_at = ?, lifted_by = ? WHERE id = ? AND lifted_at IS NULL",
+        [clock.now(), req.admin.username, banId]
+      );
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Active ban not found" });
+      }
+
+      await recordAdminAudit(req, "chat.lift_ban", { targetType: "chat_ban", targetId: banId });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Admin chat ban lift error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/claim", rateLimit("claim"), async (req, res) => {
+    try {
+      const round = await getOpenRound();
+      if (!round || round.expires_at <= clock.now()) {
+        return res.status(400).json({ ok: false, msg: "Window closed" });
+      }
+
+      const { payout_method, payout_id, captcha } = req.body;
+      if (!payout_method || !payout_id) {
+        return res.status(400).json({ ok: false, msg: "Missing fields" });
+      }
+
+      const payout = normalizePayoutHandle(payout_method, payout_id);
+      if (!payout.ok) {
+        return res.status(400).json({ ok: false, msg: payout.msg });
+      }
+
+      const ipAddress = getClientIp(req);
+      if (!ipAddress) {
+        return res.status(400).json({ ok: false, msg: "Could not verify your network address" });
+      }
+
+      const existingEntry = await db.get(
+        `
+          SELECT id
+          FROM claims
+          WHERE round_id = ?
+            AND ip_address = ?
+        `,
+        [round.id, ipAddress]
+      );
+      if (existingEntry) {
+        return res.status(409).json({
+          ok: false,
+          msg: "Only one entry per IP address is allowed during each draw."
+        });
+      }
+
+      const captchaResult = await verifyCaptcha(captcha, ipAddress);
+      if (captchaResult.status === "unavailable") {
+        console.error("Captcha verifier unavailable:", captchaResult.reason);
+        return res.status(503).json({
+          ok: false,
+          msg: "We could not check the captcha right now. Please try again in a moment."
+        });
+      }
+
+      if (captchaResult.status !== "passed") {
+        return res.status(400).json({ ok: false, msg: "Captcha failed" });
+      }
+
+      const now = clock.now();
+      const ipSubnet = getIpSubnet(ipAddress);
+      const claimToken = createSessionToken();
+      let result;
+      try {
+        result = await db.run(
+          `
+            INSERT INTO claims (
+              round_id,
+              payout_method,
+              payout_id,
+              created_at,
+              is_winner,
+              ip_address,
+              ip_subnet,
+              claim_token_hash
+            )
+            SELECT ?, ?, ?, ?, 0, ?, ?, ?
+            WHERE EXISTS (SELECT 1 FROM rounds WHERE id = ? AND status = 'open' AND expires_at > ?)
+          `,
+          [round.id, payout.method, payout.handle, now, ipAddress, ipSubnet, hashSessionToken(claimToken), round.id, now]
+        );
+      } catch (err) {
+        if (err?.code === "SQLITE_CONSTRAINT") {
+          return res.status(409).json({
+            ok: false,
+            msg: "Only one entry per IP address is allowed during each draw."
+          });
+        }
+        throw err;
+      }
+
+      if (!result.changes) {
+        return res.status(400).json({ ok: false, msg: "Window closed" });
+      }
+
+      await scoreClaimFraud({
+        id: result.lastID,
+        round_id: round.id,
+        payout_method: payout.method,
+        payout_id: payout.handle,
+        created_at: now,
+        ip_subnet: ipSubnet
+      });
+      scheduleStateBroadcast();
+
+      res.json({
+        ok: true,
+        claimId: result.lastID,
+        claimToken,
+        roundId: round.id,
+        msg: "Entry received"
+      });
+    } catch (err) {
+      console.error("Claim error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/claim-result/:claimId", rateLimit("claimResult"), async (req, res) => {
+    try {
+      const claimId = Number(req.params.claimId);
+      if (!claimId) {
+        return res.status(400).json({ ok: false, msg: "Invalid claim id" });
+      }
+
+      const claim = await db.get(
+        `
+          SELECT id, round_id
+          FROM claims
+          WHERE id = ?
+        `,
+        [claimId]
+      );
+
+      if (!claim) {
+        return res.status(404).json({ ok: false, msg: "Claim not found" });
+      }
+
+      const totals = await db.get(
+        "SELECT COUNT(*) AS totalPlayers FROM claims WHERE round_id = ?",
+        [claim.round_id]
+      );
+      const winners = await db.all(
+        `
+          SELECT claim_id, place, prize_amount_cents, show_full_handle
+          FROM past_winners
+          WHERE round_id = ?
+          ORDER BY place ASC
+        `,
+        [claim.round_id]
+      );
+
+      if (!winners.length) {
+        return res.json({
+          ok: true,
+          resolved: false,
+          totalPlayers: totals?.totalPlayers || 0
+        });
+      }
+
+      const ownWin = winners.find((winner) => winner.claim_id === claim.id);
+      res.json({
+        ok: true,
+        resolved: true,
+        winner: Boolean(ownWin),
+        place: ownWin?.place ?? null,
+        prizeAmountCents: ownWin ? ownWin.prize_amount_cents ?? getSetting("prizeAmountCents") : null,
+        winnerCount: winners.length,
+        showFullHandle: ownWin ? Boolean(ownWin.show_full_handle) : null,
+        totalPlayers: totals?.totalPlayers || 0
+      });
+    } catch (err) {
+      console.error("Claim result error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  // Winners choose whether their full handle appears publicly. Only the browser
+  // that made the claim holds its claimToken.
+  app.post("/claims/:claimId/public-handle", async (req, res) => {
+    try {
+      const claimId = Number(req.params.claimId);
+      if (!claimId) {
+        return res.status(400).json({ ok: false, msg: "Invalid claim id" });
+      }
+
+      const claimToken = String(req.body?.claimToken || "");
+      const claim = await db.get("SELECT id, claim_token_hash FROM claims WHERE id = ?", [claimId]);
+      if (!claim?.claim_token_hash || !claimToken || !safeEqual(hashSessionToken(claimToken), claim.claim_token_hash)) {
+        return res.status(404).json({ ok: false, msg: "Claim not found" });
+      }
+
+      const showFullHandle = req.body?.show === true;
+      const result = await db.run("UPDATE past_winners SET show_full_handle = ? WHERE claim_id = ?", [
+        showFullHandle ? 1 : 0,
+        claimId
+      ]);
+      if (!result.changes) {
+        return res.status(400).json({ ok: false, msg: "Only winning entries can change how they are shown" });
+      }
+
+      scheduleStateBroadcast();
+      res.json({ ok: true, showFullHandle });
+    } catch (err) {
+      console.error("Public handle error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  // Players can export or erase what we hold for a payout handle once they prove
+  // they own it with a code sent to that handle.
+  app.post("/privacy/requests", async (req, res) => {
+    try {
+      const { type, payout_method, payout_id } = req.body || {};
+      if (!DATA_REQUEST_TYPES.includes(type)) {
+        return res.status(400).json({ ok: false, msg: `Request type must be one of: ${DATA_REQUEST_TYPES.join(", ")}` });
+      }
+
+      const payout = normalizePayoutHandle(payout_method, payout_id);
+      if (!payout.ok) {
+        return res.status(400).json({ ok: false, msg: payout.msg });
+      }
+
+      const ipAddress = getClientIp(req);
+      const now = clock.now();
+      const recentRequests = await db.get(
+        "SELECT COUNT(*) AS total FROM data_requests WHERE ip_address = ? AND created_at > ?",
+        [ipAddress, now - 60 * 60 * 1000]
+      );
+      if (recentRequests.total >= DATA_REQUEST_MAX_PER_HOUR) {
+        return res.status(429).json({ ok: false, msg: "Too many data requests. Try again in an hour." });
+      }
+
+      // Handles we hold nothing for get the same answer and a request that can
+      // never be verified, so this form cannot tell anyone whether a handle
+      // has played. No code is sent to them.
+      const hasData = await hasStoredPlayerData(payout.method, payout.handle);
+      const deliveryChannel = getDataRequestDeliveryChannel(payout.handle);
+      const code = deliveryChannel === "manual" ? null : createDataRequestCode();
+      const result = await db.run(
+        `
+          INSERT INTO data_requests (
+            request_type,
+            payout_method,
+            payout_id,
+            delivery_channel,
+            code_hash,
+            code_expires_at,
+            ip_address,
+            created_at,
+            due_at,
+            notes
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          type,
+          payout.method,
+          payout.handle,
+          deliveryChannel,
+          code ? hashSessionToken(code) : null,
+          code ? now + DATA_REQUEST_CODE_TTL_MS : null,
+          ipAddress || null,
+          now,
+          now + DATA_REQUEST_DEADLINE_DAYS * 24 * 60 * 60 * 1000,
+          hasData ? null : "No entries were held for this handle when it was requested."
+        ]
+      );
+      const request = await db.get("SELECT * FROM data_requests WHERE id = ?", [result.lastID]);
+
+      if (code && hasData) {
+        try {
+          await sendDataRequestCode(request, code);
+        } catch (err) {
+          console.error(`Data request ${request.id} code delivery error:`, err);
+          await db.run(
+            "UPDATE data_requests SET delivery_channel = 'manual', code_hash = NULL, code_expires_at = NULL WHERE id = ?",
+            [request.id]
+          );
+          request.delivery_channel = "manual";
+        }
+      }
+
+      res.json({
+        ok: true,
+        request: getDataRequestSummary(request),
+        msg:
+          request.delivery_channel === "manual"
+            ? "We could not send a code to this handle. Our team will contact you to confirm it is yours."
+            : `We sent a code to ${maskPayoutHandle(payout.handle)}. Enter it to continue.`
+      });
+    } catch (err) {
+      console.error("Data request error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/privacy/requests/:id/verify", async (req, res) => {
+    try {
+      const request = await db.get("SELECT * FROM data_requests WHERE id = ?", [Number(req.params.id)]);
+      if (!request || request.status !== "unverified" || !request.code_hash) {
+        return res.status(404).json({ ok: false, msg: "Request not found or already verified" });
+      }
+
+      if (request.code_expires_at <= clock.now() || request.code_attempts >= DATA_REQUEST_MAX_CODE_ATTEMPTS) {
+        await db.run("UPDATE data_requests SET status = 'expired', code_hash = NULL WHERE id = ?", [request.id]);
+        return res.status(410).json({ ok: false, msg: "This code has expired. Start a new request." });
+      }
+
+      const code = String(req.body?.code || "").trim();
+      if (!safeEqual(hashSessionToken(code), request.code_hash)) {
+        await db.run("UPDATE data_requests SET code_attempts = code_attempts + 1 WHERE id = ?", [request.id]);
+        const attemptsLeft = DATA_REQUEST_MAX_CODE_ATTEMPTS - request.code_attempts - 1;
+        return res.status(400).json({
+          ok: false,
+          msg: attemptsLeft > 0 ? `Incorrect code. ${attemptsLeft} attempt(s) left.` : "Incorrect code. Start a new request."
+        });
+      }
+
+      const now = clock.now();
+      if (request.request_type === "export") {
+        const bundle = await buildPlayerDataExport(request.payout_method, request.payout_id);
+        await db.run(
+          `
+            UPDATE data_requests
+            SET status = 'completed',
+                code_hash = NULL,
+                verified_at = ?,
+                completed_at = ?,
+                completed_by = 'player'
+            WHERE id = ?
+          `,
+          [now, now, request.id]
+        );
+        return res.json({ ok: true, request: { ...getDataRequestSummary(request), status: "completed" }, export: bundle });
+      }
+
+      await db.run("UPDATE data_requests SET status = 'verified', code_hash = NULL, verified_at = ? WHERE id = ?", [
+        now,
+        request.id
+      ]);
+      res.json({
+        ok: true,
+        request: { ...getDataRequestSummary(request), status: "verified" },
+        msg: `Verified. Your data will be erased by ${new Date(request.due_at).toDateString()}.`
+      });
+    } catch (err) {
+      console.error("Data request verify error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/dashboard", requireAdmin("payouts"), async (req, res) => {
+    try {
+      const claims = await db.all(
+        `
+          SELECT id, round_id, payout_method, payout_id, created_at, ip_address, fraud_score, fraud_excluded
+          FROM claims
+          ORDER BY created_at DESC
+          LIMIT 100
+        `
+      );
+
+      const flaggedClaims = await db.all(
+        `
+          SELECT id, round_id, payout_method, payout_id, created_at, ip_address, fraud_score, fraud_excluded
+          FROM claims
+          WHERE fraud_score > 0
+          ORDER BY created_at DESC
+          LIMIT 100
+        `
+      );
+
+      const fraudFlags = await getClaimFraudFlags([
+        ...new Set([...claims, ...flaggedClaims].filter((claim) => claim.fraud_score > 0).map((claim) => claim.id))
+      ]);
+      for (const claim of [...claims, ...flaggedClaims]) {
+        claim.fraud_flags = fraudFlags.get(claim.id) || [];
+      }
+
+      const winners = await db.all(
+        `
+          SELECT
+            id,
+            round_id,
+            claim_id,
+            payout_method,
+            payout_id,
+            claim_created_at,
+            selected_at,
+            payout_status,
+            payout_amount_cents,
+            payout_reference,
+            payout_sent_at,
+            payout_notes,
+            payout_provider,
+            place,
+            prize_amount_cents,
+            show_full_handle
+          FROM past_winners
+          ORDER BY selected_at DESC, place ASC
+          LIMIT 100
+        `
+      );
+
+      const unpaidHours = Math.max(
+        0,
+        Number.parseInt(req.query.unpaidHours || String(getSetting("unpaidWinnerHours")), 10) || 0
+      );
+      const unpaidWinners = await getUnpaidWinners(unpaidHours);
+
+      const scheduledOpenings = await db.all(
+        `
+          SELECT day, scheduled_for, status, round_id, detail, recorded_at
+          FROM scheduled_openings
+          ORDER BY day DESC
+          LIMIT 30
+        `
+      );
+
+      const skipDays = await db.all(
+        `
+          SELECT day, reason, created_at
+          FROM draw_skip_days
+          WHERE day >= ?
+          ORDER BY day ASC
+        `,
+        [getDrawDayKey()]
+      );
+
+      const openRound = await getOpenRound();
+      await recordAdminAudit(req, "dashboard.view", { params: { unpaidHours } });
+
+      res.json({
+        claims,
+        flaggedClaims,
+        fraud: { excludeFlagged: FRAUD_EXCLUDE_FLAGGED, excludeScore: FRAUD_EXCLUDE_SCORE },
+        winners,
+        unpaidWinners,
+        unpaidHours,
+        scheduledOpenings,
+        skipDays,
+        state: {
+          openWindow: Boolean(openRound),
+          remaining: getRoundRemainingSeconds(openRound),
+          roundId: openRound?.id || null,
+          hasWinnerToday: await hasWinnerToday()
+        }
+      });
+    } catch (err) {
+      console.error("Admin dashboard error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/open", requireAdmin("draws"), async (req, res) => {
+    try {
+      if (await getOpenRound()) {
+        return res.status(400).json({ ok: false, msg: "A window is already open" });
+      }
+
+      if (await hasWinnerToday()) {
+        return res.status(400).json({ ok: false, msg: "A winner has already been selected today" });
+      }
+
+      const secondsResult = validateSetting("drawWindowSeconds", req.query.seconds ?? getSetting("drawWindowSeconds"));
+      if (!secondsResult.ok) {
+        return res.status(400).json({ ok: false, msg: secondsResult.msg });
+      }
+
+      const prizesInput = req.body?.prizes ?? req.query.prizes;
+      let prizeTiers = [getSetting("prizeAmountCents")];
+      if (prizesInput !== undefined && prizesInput !== "") {
+        const prizesResult = parsePrizeTiers(prizesInput);
+        if (!prizesResult.ok) {
+          return res.status(400).json({ ok: false, msg: prizesResult.msg });
+        }
+        prizeTiers = prizesResult.tiers;
+      }
+
+      const seconds = secondsResult.value;
+      const round = await openRound(seconds, prizeTiers);
+      await recordAdminAudit(req, "draw.open", {
+        targetType: "round",
+        targetId: round.id,
+        params: { seconds, prizeTiers }
+      });
+
+      console.log(`Window open for ${seconds}s with ${prizeTiers.length} prize(s) (round ${round.id})`);
+      res.json({ ok: true, opened_for: seconds, roundId: round.id, seedHash: round.seed_hash, prizeTiers });
+    } catch (err) {
+      console.error("Admin open error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/winners/:id/public-handle", requireAdmin("payouts"), async (req, res) => {
+    try {
+      const winnerId = Number(req.params.id);
+      if (!winnerId) {
+        return res.status(400).json({ ok: false, msg: "Invalid winner id" });
+      }
+
+      const showFullHandle = req.body?.show === true;
+      const result = await db.run("UPDATE past_winners SET show_full_handle = ? WHERE id = ?", [
+        showFullHandle ? 1 : 0,
+        winnerId
+      ]);
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Winner not found" });
+      }
+
+      await recordAdminAudit(req, "winner.public_handle", {
+        targetType: "winner",
+        targetId: winnerId,
+        params: { showFullHandle }
+      });
+      scheduleStateBroadcast();
+
+      res.json({ ok: true, showFullHandle });
+    } catch (err) {
+      console.error("Winner public handle error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/winners/unpaid", requireAdmin("payouts"), async (req, res) => {
+    try {
+      const hours = Math.max(0, Number.parseInt(req.query.hours || String(getSetting("unpaidWinnerHours")), 10) || 0);
+      const winners = await getUnpaidWinners(hours);
+      await recordAdminAudit(req, "winners.view_unpaid", { params: { hours } });
+      res.json({ ok: true, hours, winners });
+    } catch (err) {
+      console.error("Unpaid winners error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/winners/:id/payout", requireAdmin("payouts"), async (req, res) => {
+    try {
+      const winnerId = Number(req.params.id);
+      if (!winnerId) {
+        return res.status(400).json({ ok: false, msg: "Invalid winner id" });
+      }
+
+      const winner = await db.get(
+        "SELECT id, payout_status, payout_amount_cents, payout_sent_at, prize_amount_cents FROM past_winners WHERE id = ?",
+        [winnerId]
+      );
+      if (!winner) {
+        return res.status(404).json({ ok: false, msg: "Winner not found" });
+      }
+
+      if (winner.payout_status === "sending") {
+        return res.status(409).json({ ok: false, msg: "A payout is being sent for this winner right now" });
+      }
+
+      const status = String(req.body.status || "").trim().toLowerCase();
+      if (!PAYOUT_STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, msg: `Status must be one of: ${PAYOUT_STATUSES.join(", ")}` });
+      }
+
+      const amountCents = parseAmountToCents(req.body.amount);
+      if (Number.isNaN(amountCents)) {
+        return res.status(400).json({ ok: false, msg: "Amount must be a dollar value like 20 or 20.00" });
+      }
+
+      const now = clock.now();
+      const reference = String(req.body.reference || "").trim().slice(0, 200) || null;
+      const notes = String(req.body.notes || "").trim().slice(0, 1000) || null;
+      const sentAt = status === "sent" ? winner.payout_sent_at || now : winner.payout_sent_at;
+      const payoutAmountCents =
+        amountCents ?? winner.payout_amount_cents ?? (status === "sent" ? winner.prize_amount_cents ?? getSetting("prizeAmountCents") : null);
+
+      await db.run(
+        `
+          UPDATE past_winners
+          SET payout_status = ?,
+              payout_amount_cents = ?,
+              payout_reference = COALESCE(?, payout_reference),
+              payout_sent_at = ?,
+              payout_notes = COALESCE(?, payout_notes),
+              payout_updated_at = ?
+          WHERE id = ?
+        `,
+        [status, payoutAmountCents, reference, sentAt, notes, now, winnerId]
+      );
+
+      const updated = await db.get(`SELECT ${WINNER_PAYOUT_COLUMNS} FROM past_winners WHERE id = ?`, [winnerId]);
+      await recordAdminAudit(req, "payout.update", {
+        targetType: "winner",
+        targetId: winnerId,
+        params: { status, amountCents: payoutAmountCents, reference, notes }
+      });
+
+      res.json({ ok: true, winner: updated });
+    } catch (err) {
+      console.error("Winner payout update error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/winners/:id/pay", requireAdmin("payouts"), requirePayoutProvider, async (req, res) => {
+    try {
+      const winnerId = Number(req.params.id);
+      if (!winnerId) {
+        return res.status(400).json({ ok: false, msg: "Invalid winner id" });
+      }
+
+      const amountCents = parseAmountToCents(req.body.amount);
+      if (Number.isNaN(amountCents) || amountCents === 0) {
+        return res.status(400).json({ ok: false, msg: "Amount must be a dollar value like 20 or 20.00" });
+      }
+
+      const { winner, error } = await sendWinnerPayout(winnerId, amountCents);
+      if (error) {
+        return res.status(error.status).json({ ok: false, msg: error.msg });
+      }
+
+      await recordAdminAudit(req, "payout.send", {
+        targetType: "winner",
+        targetId: winnerId,
+        params: {
+          provider: winner.payout_provider,
+          amountCents: winner.payout_amount_cents,
+          status: winner.payout_status,
+          reference: winner.payout_reference
+        }
+      });
+
+      res.json({ ok: !["failed", "unknown"].includes(winner.payout_status), winner, msg: winner.payout_notes || undefined });
+    } catch (err) {
+      console.error("Winner pay error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/winners/:id/payout/refresh", requireAdmin("payouts"), requirePayoutProvider, async (req, res) => {
+    try {
+      const winner = await db.get(
+        "SELECT id, payout_provider, payout_reference FROM past_winners WHERE id = ?",
+        [Number(req.params.id)]
+      );
+      if (!winner) {
+        return res.status(404).json({ ok: false, msg: "Winner not found" });
+      }
+
+      const provider = getPayoutProvider();
+      if (!winner.payout_reference || winner.payout_provider !== provider.name) {
+        return res.status(400).json({ ok: false, msg: `No ${provider.name} payout to refresh for this winner` });
+      }
+
+      const result = await provider.checkStatus(winner.payout_reference);
+      const updated = await applyPayoutResult(winner.id, provider.name, result);
+      await recordAdminAudit(req, "payout.refresh", {
+        targetType: "winner",
+        targetId: winner.id,
+        params: { status: updated.payout_status, providerStatus: updated.payout_provider_status }
+      });
+      res.json({ ok: true, winner: updated });
+    } catch (err) {
+      console.error("Winner payout refresh error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/payouts/webhook/:provider", requirePayoutProvider, async (req, res) => {
+    try {
+      const provider = getPayoutProvider();
+      if (req.params.provider !== provider.name) {
+        return res.status(404).json({ ok: false, msg: "Unknown payout provider" });
+      }
+
+      let updates;
+      try {
+        updates = await provider.parseWebhook(req);
+      } catch (err) {
+        console.error("Payout webhook rejected:", err.message);
+        return res.status(400).json({ ok: false, msg: "Invalid webhook" });
+      }
+
+      for (const update of updates) {
+        const winner = await db.get(
+          "SELECT id FROM past_winners WHERE payout_provider = ? AND payout_reference = ?",
+          [provider.name, update.reference]
+        );
+        if (winner) {
+          await applyPayoutResult(winner.id, provider.name, update);
+        }
+      }
+
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Payout webhook error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  async function getAdminAnalytics(fromDay, toDay) {
+    const dayKeys = listDayKeys(fromDay, toDay);
+    const drawStartByDay = new Map(
+      dayKeys.map((day) => {
+        const [year, month, date] = day.split("-").map((part) => Number.parseInt(part, 10));
+        return [
+          day,
+          drawLocalDateTimeToMs({ year, month, day: date, hour: getSetting("drawHour"), minute: getSetting("drawMinute") })
+        ];
+      })
+    );
+    const [fromYear, fromMonth, fromDate] = fromDay.split("-").map((part) => Number.parseInt(part, 10));
+    const [toYear, toMonth, toDate] = toDay.split("-").map((part) => Number.parseInt(part, 10));
+    const startMs = drawLocalDateTimeToMs({ year: fromYear, month: fromMonth, day: fromDate });
+    const endMs = drawLocalDateTimeToMs({ year: toYear, month: toMonth, day: toDate + 1 });
+
+    const claims = await db.all(
+      `
+        SELECT claims.payout_method, claims.payout_id, claims.ip_address, claims.created_at, rounds.opened_at
+        FROM claims
+        LEFT JOIN rounds ON rounds.id = claims.round_id
+        WHERE claims.created_at >= ?
+          AND claims.created_at < ?
+      `,
+      [startMs, endMs]
+    );
+    const firstSeen = await db.all(
+      `
+        SELECT payout_method, payout_id, MIN(created_at) AS first_at
+        FROM claims
+        WHERE payout_id IN (
+          SELECT payout_id
+          FROM claims
+          WHERE created_at >= ?
+            AND created_at < ?
+            AND payout_id IS NOT NULL
+        )
+        GROUP BY payout_method, payout_id
+      `,
+      [startMs, endMs]
+    );
+    const chatWindowMs = CHAT_DRAW_WINDOW_MINUTES * 60 * 1000;
+    const chatMessages = await db.all(
+      `
+        SELECT created_at
+        FROM chat_messages
+        WHERE sender_role = 'player'
+          AND created_at >= ?
+          AND created_at < ?
+      `,
+      [startMs - chatWindowMs, endMs + chatWindowMs]
+    );
+
+    return summarizeAnalytics({
+      dayKeys,
+      claims,
+      firstSeenAt: new Map(firstSeen.map((row) => [`${row.payout_method}:${row.payout_id}`, row.first_at])),
+      chatMessages,
+      drawStartByDay,
+      getDayKey: (ms) => getDrawDayKey(new Date(ms))
+    });
+  }
+
+  // Aggregated by draw-time-zone day. from and to are inclusive day keys and
+  // default to the last two weeks.
+  app.get("/admin/analytics", requireAdmin("analytics"), async (req, res) => {
+    try {
+      const toDay = String(req.query.to || getDrawDayKey());
+      if (!isValidDayKey(toDay)) {
+        return res.status(400).json({ ok: false, msg: "to must be a date like 2026-04-01" });
+      }
+
+      const fromDay = String(req.query.from || shiftDayKey(toDay, 1 - ANALYTICS_DEFAULT_DAYS));
+      if (!isValidDayKey(fromDay) || fromDay > toDay) {
+        return res.status(400).json({ ok: false, msg: "from must be a date like 2026-04-01, on or before to" });
+      }
+
+      if (fromDay < shiftDayKey(toDay, 1 - ANALYTICS_MAX_DAYS)) {
+        return res.status(400).json({ ok: false, msg: `Choose a range of at most ${ANALYTICS_MAX_DAYS} days` });
+      }
+
+      res.json({
+        ok: true,
+        timeZone: getSetting("drawTimeZone"),
+        from: fromDay,
+        to: toDay,
+        ...(await getAdminAnalytics(fromDay, toDay))
+      });
+    } catch (err) {
+      console.error("Analytics error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  function toIsoTime(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+  }
+
+  function centsToAmount(cents) {
+    return cents === null || cents === undefined ? null : (cents / 100).toFixed(2);
+  }
+
+  const WINNER_LEDGER_COLUMNS = [
+    ["winner_id", (row) => row.id],
+    ["round_id", (row) => row.round_id],
+    ["draw_day", (row) => getDrawDayKey(new Date(row.selected_at))],
+    ["place", (row) => row.place],
+    ["selected_at", (row) => toIsoTime(row.selected_at)],
+    ["claim_id", (row) => row.claim_id],
+    ["claim_created_at", (row) => toIsoTime(row.claim_created_at)],
+    ["claim_ip_address", (row) => row.ip_address],
+    ["claim_fraud_score", (row) => row.fraud_score],
+    ["payout_method", (row) => row.payout_method],
+    ["payout_id", (row) => row.payout_id],
+    ["prize_amount", (row) => centsToAmount(row.prize_amount_cents)],
+    ["payout_status", (row) => row.payout_status],
+    ["payout_amount", (row) => centsToAmount(row.payout_amount_cents)],
+    ["payout_currency", () => PAYOUT_CURRENCY],
+    ["payout_provider", (row) => row.payout_provider],
+    ["payout_provider_status", (row) => row.payout_provider_status],
+    ["payout_reference", (row) => row.payout_reference],
+    ["payout_sent_at", (row) => toIsoTime(row.payout_sent_at)]
+  ];
+
+  // Payees are grouped on the stored method and handle, which POST /claim and
+  // the normalize-payout-handles migration keep in canonical form. Only sent
+  // payouts count as received.
+  const PAYEE_SUMMARY_COLUMNS = [
+    ["year", (row) => row.year],
+    ["payout_method", (row) => row.payout_method],
+    ["payout_id", (row) => row.payout_id],
+    ["wins", (row) => row.wins],
+    ["prize_total", (row) => centsToAmount(row.prize_cents)],
+    ["paid_count", (row) => row.paid_count],
+    ["paid_total", (row) => centsToAmount(row.paid_cents)],
+    ["unpaid_count", (row) => row.wins - row.paid_count],
+    ["payout_currency", () => PAYOUT_CURRENCY],
+    ["first_win_at", (row) => toIsoTime(row.first_win_at)],
+    ["last_win_at", (row) => toIsoTime(row.last_win_at)]
+  ];
+
+  function dayKeyStartMs(dayKey) {
+    const [year, month, day] = dayKey.split("-").map((part) => Number.parseInt(part, 10));
+    return drawLocalDateTimeToMs({ year, month, day });
+  }
+
+  function getExportFormat(req) {
+    const format = String(req.query.format || "csv").toLowerCase();
+    return EXPORT_FORMATS.includes(format) ? format : null;
+  }
+
+  // from and to are inclusive draw-time-zone day keys; either may be left out.
+  app.get("/admin/exports/winners", requireAdmin("payouts"), async (req, res) => {
+    try {
+      const format = getExportFormat(req);
+      if (!format) {
+        return res.status(400).json({ ok: false, msg: `Format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+      }
+
+      const fromDay = String(req.query.from || "");
+      const toDay = String(req.query.to || "");
+      if ((fromDay && !isValidDayKey(fromDay)) || (toDay && !isValidDayKey(toDay))) {
+        return res.status(400).json({ ok: false, msg: "from and to must be dates like 2026-04-01" });
+      }
+
+      if (fromDay && toDay && fromDay > toDay) {
+        return res.status(400).json({ ok: false, msg: "from must be on or before to" });
+      }
+
+      const startMs = fromDay ? dayKeyStartMs(fromDay) : 0;
+      const endMs = toDay ? dayKeyStartMs(shiftDayKey(toDay, 1)) : Number.MAX_SAFE_INTEGER;
+
+      await recordAdminAudit(req, "winners.export", { params: { format, from: fromDay || null, to: toDay || null } });
+      await streamExport(res, {
+        format,
+        filename: `winners-${fromDay || "start"}-to-${toDay || getDrawDayKey()}`,
+        columns: WINNER_LEDGER_COLUMNS,
+        fetchPage: async (lastId) => {
+          const rows = await db.all(
+            `
+              SELECT
+                past_winners.*,
+                claims.ip_address,
+                claims.fraud_score
+              FROM past_winners
+              LEFT JOIN claims ON claims.id = past_winners.claim_id
+              WHERE past_winners.selected_at >= ?
+                AND past_winners.selected_at < ?
+                AND past_winners.id > ?
+              ORDER BY past_winners.id ASC
+              LIMIT ?
+            `,
+            [startMs, endMs, lastId || 0, EXPORT_PAGE_SIZE]
+          );
+          return { rows, cursor: rows.length ? rows[rows.length - 1].id : lastId };
+        }
+      });
+    } catch (err) {
+      console.error("Winner export error:", err);
+      if (res.headersSent) {
+        return res.destroy(err);
+      }
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  // One row per payee for a calendar year in the draw time zone.
+  app.get("/admin/exports/winners/yearly", requireAdmin("payouts"), async (req, res) => {
+    try {
+      const format = getExportFormat(req);
+      if (!format) {
+        return res.status(400).json({ ok: false, msg: `Format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+      }
+
+      const year = Number.parseInt(req.query.year || getDrawDayKey().slice(0, 4), 10);
+      if (!Number.isInteger(year) || year < 2000 || year > 9999) {
+        return res.status(400).json({ ok: false, msg: "year must be a calendar year like 2026" });
+      }
+
+      const startMs = drawLocalDateTimeToMs({ year, month: 1, day: 1 });
+      const endMs = drawLocalDateTimeToMs({ year: year + 1, month: 1, day: 1 });
+
+      await recordAdminAudit(req, "winners.export_yearly", { params: { format, year } });
+      await streamExport(res, {
+        format,
+        filename: `payees-${year}`,
+        columns: PAYEE_SUMMARY_COLUMNS,
+        fetchPage: async (last) => {
+          const rows = await db.all(
+            `
+              SELECT
+                ? AS year,
+                payout_method,
+                payout_id,
+                COUNT(*) AS wins,
+                COALESCE(SUM(prize_amount_cents), 0) AS prize_cents,
+                SUM(CASE WHEN payout_status = 'sent' THEN 1 ELSE 0 END) AS paid_count,
+                COALESCE(SUM(CASE WHEN payout_status = 'sent' THEN payout_amount_cents END), 0) AS paid_cents,
+                MIN(selected_at) AS first_win_at,
+                MAX(selected_at) AS last_win_at
+              FROM past_winners
+              WHERE selected_at >= ?
+                AND selected_at < ?
+              GROUP BY payout_method, payout_id
+              HAVING (payout_method, payout_id) > (?, ?)
+              ORDER BY payout_method ASC, payout_id ASC
+              LIMIT ?
+            `,
+            [year, startMs, endMs, last?.payout_method ?? "", last?.payout_id ?? "", EXPORT_PAGE_SIZE]
+          );
+          return { rows, cursor: rows.length ? rows[rows.length - 1] : last };
+        }
+      });
+    } catch (err) {
+      console.error("Payee summary export error:", err);
+      if (res.headersSent) {
+        return res.destroy(err);
+      }
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/audit-log", requireAdmin("audit"), async (req, res) => {
+    try {
+      const filters = [];
+      const params = [];
+
+      for (const [queryName, column] of [
+        ["actor", "actor_username"],
+        ["action", "action"],
+        ["targetType", "target_type"],
+        ["targetId", "target_id"]
+      ]) {
+        const value = String(req.query[queryName] || "").trim();
+        if (value) {
+          filters.push(`${column} = ?`);
+          params.push(value);
+        }
+      }
+
+      const from = Number.parseInt(req.query.from || "", 10);
+      if (from) {
+        filters.push("created_at >= ?");
+        params.push(from);
+      }
+
+      const to = Number.parseInt(req.query.to || "", 10);
+      if (to) {
+        filters.push("created_at < ?");
+        params.push(to);
+      }
+
+      const before = Number.parseInt(req.query.before || "", 10);
+      if (before) {
+        filters.push("id < ?");
+        params.push(before);
+      }
+
+      const limit = Math.min(200, Math.max(1, Number.parseInt(req.query.limit || "50", 10) || 50));
+      const entries = await db.all(
+        `
+          SELECT id, actor_id, actor_username, actor_role, action, target_type, target_id, params, ip_address, created_at
+          FROM admin_audit_log
+          ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+          ORDER BY id DESC
+          LIMIT ?
+        `,
+        [...params, limit + 1]
+      );
+
+      const hasMore = entries.length > limit;
+      const page = entries.slice(0, limit).map((entry) => ({
+        ...entry,
+        params: entry.params ? JSON.parse(entry.params) : null
+      }));
+
+      await recordAdminAudit(req, "audit_log.view", {
+        params: Object.fromEntries(Object.entries(req.query).filter(([, value]) => value !== ""))
+      });
+
+      res.json({
+        ok: true,
+        entries: page,
+        nextBefore: hasMore ? page[page.length - 1].id : null
+      });
+    } catch (err) {
+      console.error("Audit log fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/data-requests", requireAdmin("privacy"), async (req, res) => {
+    try {
+      const showAll = req.query.status === "all";
+      const requests = await db.all(
+        `
+          SELECT
+            id,
+            request_type,
+            payout_method,
+            payout_id,
+            status,
+            delivery_channel,
+            ip_address,
+            created_at,
+            due_at,
+            verified_at,
+            completed_at,
+            completed_by,
+            notes
+          FROM data_requests
+          ${showAll ? "" : "WHERE status IN ('unverified', 'verified')"}
+          ORDER BY due_at ASC
+          LIMIT 200
+        `
+      );
+      const now = clock.now();
+
+      res.json({
+        ok: true,
+        deadlineDays: DATA_REQUEST_DEADLINE_DAYS,
+        requests: requests.map((request) => ({
+          ...request,
+          overdue: ["unverified", "verified"].includes(request.status) && request.due_at <= now
+        }))
+      });
+    } catch (err) {
+      console.error("Data requests fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  // For handles no code can reach: after confirming ownership another way, an
+  // admin marks the request verified so it can be exported or erased.
+  app.post("/admin/data-requests/:id/verify", requireAdmin("privacy"), async (req, res) => {
+    try {
+      const requestId = Number(req.params.id);
+      const result = await db.run(
+        "UPDATE data_requests SET status = 'verified', code_hash = NULL, verified_at = ? WHERE id = ? AND status = 'unverified'",
+        [clock.now(), requestId]
+      );
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Unverified request not found" });
+      }
+
+      await recordAdminAudit(req, "data_request.verify", { targetType: "data_request", targetId: requestId });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Data request manual verify error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/data-requests/:id/export", requireAdmin("privacy"), async (req, res) => {
+    try {
+      const request = await db.get("SELECT * FROM data_requests WHERE id = ?", [Number(req.params.id)]);
+      if (!request || request.request_type !== "export" || request.status !== "verified") {
+        return res.status(404).json({ ok: false, msg: "Verified export request not found" });
+      }
+
+      const bundle = await buildPlayerDataExport(request.payout_method, request.payout_id);
+      await recordAdminAudit(req, "data_request.export", { targetType: "data_request", targetId: request.id });
+      res.setHeader("Content-Disposition", `attachment; filename="data-request-${request.id}.json"`);
+      res.json(bundle);
+    } catch (err) {
+      console.error("Data request export error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/data-requests/:id/complete", requireAdmin("privacy"), async (req, res) => {
+    try {
+      const request = await db.get("SELECT * FROM data_requests WHERE id = ?", [Number(req.params.id)]);
+      if (!request || request.status !== "verified") {
+        return res.status(404).json({ ok: false, msg: "Verified request not found" });
+      }
+
+      let erased = null;
+      if (request.request_type === "delete") {
+        erased = await erasePlayerData(request.payout_method, request.payout_id);
+        if (!erased.ok) {
+          return res.status(409).json({ ok: false, msg: erased.msg });
+        }
+      }
+
+      await db.run(
+        `
+          UPDATE data_requests
+          SET status = 'completed',
+              payout_id = ?,
+              completed_at = ?,
+              completed_by = ?
+          WHERE id = ?
+        `,
+        [
+          request.request_type === "delete" ? maskPayoutHandle(request.payout_id) : request.payout_id,
+          clock.now(),
+          req.admin.username,
+          request.id
+        ]
+      );
+      await recordAdminAudit(req, "data_request.complete", {
+        targetType: "data_request",
+        targetId: request.id,
+        params: erased ? { claims: erased.claims, winners: erased.winners } : null
+      });
+      scheduleStateBroadcast();
+      res.json({ ok: true, erased });
+    } catch (err) {
+      console.error("Data request complete error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/data-requests/:id/reject", requireAdmin("privacy"), async (req, res) => {
+    try {
+      const requestId = Number(req.params.id);
+      const reason = String(req.body?.reason || "").trim().slice(0, 500);
+      if (!reason) {
+        return res.status(400).json({ ok: false, msg: "Give a reason for rejecting the request" });
+      }
+
+      const result = await db.run(
+        `
+          UPDATE data_requests
+          SET status = 'rejected',
+              code_hash = NULL,
+              notes = ?,
+              completed_at = ?,
+              completed_by = ?
+          WHERE id = ?
+            AND status IN ('unverified', 'verified')
+        `,
+        [reason, clock.now(), req.admin.username, requestId]
+      );
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Open request not found" });
+      }
+
+      await recordAdminAudit(req, "data_request.reject", {
+        targetType: "data_request",
+        targetId: requestId,
+        params: { reason }
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Data request reject error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/settings", requireAdmin("settings"), async (req, res) => {
+    try {
+      const rows = await db.all("SELECT key, updated_by, updated_at FROM settings");
+      const updates = new Map(rows.map((row) => [row.key, row]));
+      await recordAdminAudit(req, "settings.view");
+
+      res.json({
+        ok: true,
+        settings: Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => ({
+          key,
+          value: getSetting(key),
+          defaultValue: definition.defaultValue,
+          type: definition.type,
+          min: definition.min ?? null,
+          max: definition.max ?? null,
+          label: definition.label,
+          public: Boolean(definition.public),
+          updatedBy: updates.get(key)?.updated_by || null,
+          updatedAt: updates.get(key)?.updated_at || null
+        }))
+      });
+    } catch (err) {
+      console.error("Settings fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  // Accepts any subset of settings. Nothing is saved unless every value passes.
+  app.put("/admin/settings", requireAdmin("settings"), async (req, res) => {
+    try {
+      const input = req.body?.settings;
+      if (!input || typeof input !== "object" || Array.isArray(input) || !Object.keys(input).length) {
+        return res.status(400).json({ ok: false, msg: "Send the settings to change" });
+      }
+
+      const changes = {};
+      for (const [key, value] of Object.entries(input)) {
+        const result = validateSetting(key, value);
+        if (!result.ok) {
+          return res.status(400).json({ ok: false, msg: result.msg });
+        }
+
+        if (result.value !== getSetting(key)) {
+          changes[key] = { from: getSetting(key), to: result.value };
+        }
+      }
+
+      if (!Object.keys(changes).length) {
+        return res.json({ ok: true, settings: gameSettings, msg: "No changes" });
+      }
+
+      const now = clock.now();
+      for (const [key, { to }] of Object.entries(changes)) {
+        await db.run(
+          `
+            INSERT INTO settings (key, value, updated_by, updated_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET
+              value = excluded.value,
+              updated_by = excluded.updated_by,
+              updated_at = excluded.updated_at
+          `,
+          [key, JSON.stringify(to), req.admin.username, now]
+        );
+      }
+
+      await loadSettings();
+      if (["drawTimeZone", "drawHour", "drawMinute"].some((key) => key in changes)) {
+        scheduleDrawJobs();
+      }
+      scheduleStateBroadcast();
+      await recordAdminAudit(req, "settings.update", { targetType: "settings", params: changes });
+
+      res.json({ ok: true, settings: gameSettings });
+    } catch (err) {
+      console.error("Settings update error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.get("/admin/skip-days", requireAdmin("draws"), async (req, res) => {
+    try {
+      const skipDays = await db.all(
+        `
+          SELECT day, reason, created_at
+          FROM draw_skip_days
+          ORDER BY day DESC
+        `
+      );
+      await recordAdminAudit(req, "skip_days.view");
+
+      res.json({ ok: true, skipDays });
+    } catch (err) {
+      console.error("Skip days fetch error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.post("/admin/skip-days", requireAdmin("draws"), async (req, res) => {
+    try {
+      const day = String(req.body.day || "").trim();
+      if (!isValidDayKey(day)) {
+        return res.status(400).json({ ok: false, msg: "Day must be a valid date formatted as YYYY-MM-DD" });
+      }
+
+      const reason = String(req.body.reason || "").trim().slice(0, 200) || null;
+      await db.run(
+        `
+          INSERT INTO draw_skip_days (day, reason, created_at)
+          VALUES (?, ?, ?)
+          ON CONFLICT(day) DO UPDATE SET reason = excluded.reason
+        `,
+        [day, reason, clock.now()]
+      );
+
+      await recordAdminAudit(req, "skip_day.save", { targetType: "skip_day", targetId: day, params: { reason } });
+      res.json({ ok: true, skipDay: await getSkipDay(day) });
+    } catch (err) {
+      console.error("Skip day save error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  app.delete("/admin/skip-days/:day", requireAdmin("draws"), async (req, res) => {
+    try {
+      const result = await db.run("DELETE FROM draw_skip_days WHERE day = ?", [req.params.day]);
+      if (!result.changes) {
+        return res.status(404).json({ ok: false, msg: "Skip day not found" });
+      }
+
+      await recordAdminAudit(req, "skip_day.delete", { targetType: "skip_day", targetId: req.params.day });
+
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Skip day delete error:", err);
+      res.status(500).json({ ok: false, msg: "Server error" });
+    }
+  });
+
+  // Cron jobs follow the real wall clock and only run once start() is called;
+  // simulations call the same jobs directly on their own clock.
+  async function runDailyDraw() {
+    try {
+      return await openScheduledRound();
+    } catch (err) {
+      console.error("Scheduled open error:", err);
+      sendOperatorAlert("scheduledOpenFailed", { day: getDrawDayKey(), reason: err.message });
+      try {
+        await recordScheduledOpening(getDrawDayKey(), "failed", { detail: err.message });
+      } catch (recordErr) {
+        console.error("Scheduled open record error:", recordErr);
+      }
+      return null;
+    }
+  }
+
+  async function runMidnightReset() {
+    try {
+      await recoverOpenRounds();
+      await cleanupChatMessages();
+      console.log("Midnight reset triggered");
+    } catch (err) {
+      console.error("Midnight reset error:", err);
+    }
+  }
+
+  async function runHourlyMaintenance() {
+    try {
+      await cleanupChatMessages();
+    } catch (err) {
+      console.error("Chat cleanup error:", err);
+    }
+
+    try {
+      await cleanupAdminSessions();
+    } catch (err) {
+      console.error("Admin session cleanup error:", err);
+    }
+
+    try {
+      await rateLimitStore.prune(clock.now());
+      await memoryRateLimitStore.prune(clock.now());
+    } catch (err) {
+      console.error("Rate limit cleanup error:", err);
+    }
+
+    try {
+      await applyClaimRetention();
+    } catch (err) {
+      console.error("Claim retention error:", err);
+    }
+
+    try {
+      await expireDataRequests();
+    } catch (err) {
+      console.error("Data request expiry error:", err);
+    }
+
+    try {
+      await releaseStalePayoutSends();
+    } catch (err) {
+      console.error("Stale payout release error:", err);
+    }
+  }
+
+  // The daily draw and midnight reset follow the draw time settings, so both
+  // are rescheduled whenever those settings change.
+  function scheduleDrawJobs() {
+    if (!jobsStarted) {
+      return;
+    }
+
+    dailyDrawTask?.stop();
+    midnightResetTask?.stop();
+
+    dailyDrawTask = cron.schedule(`${getSetting("drawMinute")} ${getSetting("drawHour")} * * *`, runDailyDraw, {
+      timezone: getSetting("drawTimeZone")
+    });
+    midnightResetTask = cron.schedule("0 0 * * *", runMidnightReset, { timezone: getSetting("drawTimeZone") });
+  }
+
+  async function start(port) {
+    jobsStarted = true;
+    scheduleDrawJobs();
+    cron.schedule("0 * * * *", runHourlyMaintenance);
+    clock.setInterval(tickEventStream, EVENT_STREAM_TICK_MS);
+
+    await recoverOpenRounds();
+    await checkMissedScheduledOpening();
+    await applyClaimRetention();
+
+    return new Promise((resolvePromise) => {
+      const server = app.listen(port, () => {
+        console.log(`Live on port ${port}`);
+        resolvePromise(server);
+      });
+    });
+  }
+
+  return {
+    app,
+    db,
+    clock,
+    start,
+    runDailyDraw,
+    runMidnightReset,
+    runHourlyMaintenance,
+    getSetting,
+    getDailyCountdownState,
+    getDrawDayKey,
+    getDrawStartMs,
+    drawMidnightMs,
+    drawLocalDateTimeToMs
+  };
+}
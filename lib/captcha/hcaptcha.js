@@ -0,0 +1,13 @@
+import { createSiteverifyVerifier } from "./siteverify.js";
+
+const HCAPTCHA_SITEVERIFY_URL = "https://api.hcaptcha.com/siteverify";
+
+// Scores are only returned on hCaptcha Enterprise; they are checked when present.
+export function createHcaptchaVerifier({ minScore = null, ...options } = {}) {
+  return createSiteverifyVerifier({
+    ...options,
+    provider: "hcaptcha",
+    endpoint: HCAPTCHA_SITEVERIFY_URL,
+    minScore
+  });
+}
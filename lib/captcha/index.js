@@ -0,0 +1,31 @@
+import { createHcaptchaVerifier } from "./hcaptcha.js";
+import { createLocalCaptchaVerifier } from "./local.js";
+import { createRecaptchaVerifier } from "./recaptcha.js";
+import { createTurnstileVerifier } from "./turnstile.js";
+
+// A captcha verifier exposes:
+//   name
+//   clientConfig                        -> { provider, siteKey, action } for the player page
+//   verify({ token, remoteIp, action }) -> { status, reason, score, hostname }
+// where status is "passed", "failed" (the challenge was not solved) or
+// "unavailable" (the verifier could not be reached or rejected our keys).
+const CAPTCHA_VERIFIER_FACTORIES = {
+  recaptcha: (options) => createRecaptchaVerifier({ ...options, version: 2 }),
+  "recaptcha-v3": (options) => createRecaptchaVerifier({ ...options, version: 3 }),
+  hcaptcha: createHcaptchaVerifier,
+  turnstile: createTurnstileVerifier,
+  local: createLocalCaptchaVerifier
+};
+
+export function createCaptchaVerifier(name, options = {}) {
+  const factory = CAPTCHA_VERIFIER_FACTORIES[String(name || "").toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown captcha provider "${name}"`);
+  }
+
+  return factory(options);
+}
+
+export function getCaptchaProviderNames() {
+  return Object.keys(CAPTCHA_VERIFIER_FACTORIES);
+}
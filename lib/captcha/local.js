@@ -0,0 +1,24 @@
+const LOCAL_TOKEN_RESULTS = {
+  pass: { status: "passed", reason: null },
+  fail: { status: "failed", reason: "challenge-failed" },
+  outage: { status: "unavailable", reason: "local outage" }
+};
+
+// Answers without a network call so claims can be made in development and
+// tests: the token "pass" passes, "fail" fails and "outage" reports the
+// verifier as down. Anything else fails. Refuses to run in production.
+export function createLocalCaptchaVerifier({ production = false, action = "claim" } = {}) {
+  if (production) {
+    throw new Error("The local captcha verifier cannot be used in production");
+  }
+
+  return {
+    name: "local",
+    clientConfig: { provider: "local", siteKey: null, action },
+
+    async verify({ token }) {
+      const result = LOCAL_TOKEN_RESULTS[String(token || "")] || LOCAL_TOKEN_RESULTS.fail;
+      return { ...result, score: null, hostname: "localhost" };
+    }
+  };
+}
@@ -0,0 +1,14 @@
+import { createSiteverifyVerifier } from "./siteverify.js";
+
+const RECAPTCHA_SITEVERIFY_URL = "https://www.google.com/recaptcha/api/siteverify";
+
+// v2 is the checkbox widget. v3 runs invisibly and is judged on its score.
+export function createRecaptchaVerifier({ version = 2, minScore = 0.5, ...options } = {}) {
+  return createSiteverifyVerifier({
+    ...options,
+    provider: version === 3 ? "recaptcha-v3" : "recaptcha",
+    endpoint: RECAPTCHA_SITEVERIFY_URL,
+    minScore: version === 3 ? minScore : null,
+    requireScore: version === 3
+  });
+}
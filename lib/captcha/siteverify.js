@@ -0,0 +1,106 @@
+import fetch from "node-fetch";
+
+// Error codes that mean our own request or keys are wrong. They are reported
+// as an outage rather than a failed challenge so players are not blamed.
+const CONFIGURATION_ERROR_CODES = [
+  "missing-input-secret",
+  "invalid-input-secret",
+  "invalid-keys",
+  "sitekey-secret-mismatch",
+  "bad-request",
+  "internal-error"
+];
+
+async function postSiteverify(endpoint, params, { fetchImpl, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const resp = await fetchImpl(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams(params).toString(),
+      signal: controller.signal
+    });
+    if (!resp.ok) {
+      throw new Error(`siteverify responded with ${resp.status}`);
+    }
+
+    return await resp.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Builds a verifier for the siteverify APIs shared by reCAPTCHA, hCaptcha and
+ * Turnstile. Hostname, action and score checks are skipped when the provider
+ * does not return the field, unless requireScore is set.
+ */
+export function createSiteverifyVerifier({
+  provider,
+  endpoint,
+  secret,
+  siteKey,
+  secretEnvName,
+  hostnames = [],
+  minScore = null,
+  requireScore = false,
+  action = "claim",
+  timeoutMs = 5000,
+  fetchImpl = fetch
+}) {
+  if (!secret || !siteKey) {
+    throw new Error(`${secretEnvName} and CAPTCHA_SITE_KEY must be set for ${provider}`);
+  }
+
+  return {
+    name: provider,
+    clientConfig: { provider, siteKey, action },
+
+    async verify({ token, remoteIp, action: expectedAction = action }) {
+      if (!token) {
+        return { status: "failed", reason: "missing-token" };
+      }
+
+      let data;
+      try {
+        data = await postSiteverify(
+          endpoint,
+          { secret, response: token, ...(remoteIp ? { remoteip: remoteIp } : {}) },
+          { fetchImpl, timeoutMs }
+        );
+      } catch (err) {
+        return { status: "unavailable", reason: err.name === "AbortError" ? "timeout" : err.message };
+      }
+
+      const errorCodes = data["error-codes"] || [];
+      if (errorCodes.some((code) => CONFIGURATION_ERROR_CODES.includes(code))) {
+        return { status: "unavailable", reason: errorCodes.join(", ") };
+      }
+
+      const result = { score: data.score ?? null, hostname: data.hostname ?? null };
+      if (!data.success) {
+        return { ...result, status: "failed", reason: errorCodes.join(", ") || "challenge-failed" };
+      }
+
+      if (hostnames.length && !hostnames.includes(data.hostname)) {
+        return { ...result, status: "failed", reason: "hostname-mismatch" };
+      }
+
+      if (data.action && expectedAction && data.action !== expectedAction) {
+        return { ...result, status: "failed", reason: "action-mismatch" };
+      }
+
+      if (requireScore && typeof data.score !== "number") {
+        return { ...result, status: "failed", reason: "missing-score" };
+      }
+
+      if (minScore !== null && typeof data.score === "number" && data.score < minScore) {
+        return { ...result, status: "failed", reason: "low-score" };
+      }
+
+      return { ...result, status: "passed", reason: null };
+    }
+  };
+}
@@ -0,0 +1,12 @@
+import { createSiteverifyVerifier } from "./siteverify.js";
+
+const TURNSTILE_SITEVERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+export function createTurnstileVerifier(options = {}) {
+  return createSiteverifyVerifier({
+    ...options,
+    provider: "turnstile",
+    endpoint: TURNSTILE_SITEVERIFY_URL,
+    minScore: null
+  });
+}
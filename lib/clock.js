@@ -0,0 +1,82 @@
+// The app reads time and schedules its timers through a clock so draws can be
+// simulated without waiting for real time to pass.
+//
+// A clock exposes:
+//   now()                 -> milliseconds since the epoch
+//   setTimeout(fn, ms)    -> handle
+//   clearTimeout(handle)
+//   setInterval(fn, ms)   -> handle
+//   clearInterval(handle)
+export function createSystemClock() {
+  return {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle),
+    setInterval: (fn, ms) => setInterval(fn, ms),
+    clearInterval: (handle) => clearInterval(handle)
+  };
+}
+
+/**
+ * A clock that only moves when told to. advanceTo() runs every timer that
+ * falls due on the way, in order, and waits for any promise a timer returns.
+ */
+export function createManualClock(startMs = 0) {
+  let currentMs = startMs;
+  let nextId = 1;
+  const timers = new Map();
+
+  function getNextDueTimer(untilMs) {
+    let next = null;
+    for (const timer of timers.values()) {
+      if (timer.dueAt <= untilMs && (!next || timer.dueAt < next.dueAt || (timer.dueAt === next.dueAt && timer.id < next.id))) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  return {
+    now: () => currentMs,
+
+    setTimeout(fn, ms = 0) {
+      const id = nextId++;
+      timers.set(id, { id, fn, dueAt: currentMs + Math.max(0, ms) });
+      return id;
+    },
+
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+
+    setInterval(fn, ms) {
+      const id = nextId++;
+      const intervalMs = Math.max(1, ms);
+      timers.set(id, { id, fn, dueAt: currentMs + intervalMs, intervalMs });
+      return id;
+    },
+
+    clearInterval(id) {
+      timers.delete(id);
+    },
+
+    async advanceTo(targetMs) {
+      for (let timer = getNextDueTimer(targetMs); timer; timer = getNextDueTimer(targetMs)) {
+        if (timer.intervalMs) {
+          timers.set(timer.id, { ...timer, dueAt: timer.dueAt + timer.intervalMs });
+        } else {
+          timers.delete(timer.id);
+        }
+        currentMs = Math.max(currentMs, timer.dueAt);
+        await timer.fn();
+      }
+      currentMs = Math.max(currentMs, targetMs);
+    },
+
+    async advance(ms) {
+      await this.advanceTo(currentMs + ms);
+    },
+
+    pendingTimers: () => timers.size
+  };
+}
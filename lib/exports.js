@@ -0,0 +1,87 @@
+// Streams admin exports as CSV or JSON a page at a time so large histories are
+// never held in memory, and waits for the client to drain between pages.
+export const EXPORT_FORMATS = ["csv", "json"];
+
+// Cells a spreadsheet app would run as a formula are prefixed with a quote.
+// Payout handles like "@jane-doe" and "+15551234567" start with a formula
+// character too, so those are only escaped when they hold anything else.
+function isFormulaLike(text) {
+  return /^[=\t\r]/.test(text) || (/^[+\-@]/.test(text) && /[^\w.@$+-]/.test(text));
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = String(value);
+  if (isFormulaLike(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsvRow(values) {
+  return `${values.map(toCsvValue).join(",")}\r\n`;
+}
+
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve(!res.destroyed);
+  }
+
+  return new Promise((resolve) => {
+    const finish = (open) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      resolve(open);
+    };
+    const onDrain = () => finish(true);
+    const onClose = () => finish(false);
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+  });
+}
+
+/**
+ * fetchPage(cursor) -> { rows, cursor } is called until it returns no rows.
+ * columns is a list of [header, row => value] pairs used for both formats.
+ */
+export async function streamExport(res, { format, filename, columns, fetchPage }) {
+  res.setHeader(
+    "Content-Type",
+    format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+
+  let open = await writeChunk(res, format === "csv" ? toCsvRow(columns.map(([header]) => header)) : "[");
+  let cursor = null;
+  let first = true;
+
+  while (open) {
+    const page = await fetchPage(cursor);
+    if (!page.rows.length) {
+      break;
+    }
+
+    const chunk = page.rows
+      .map((row) => {
+        if (format === "csv") {
+          return toCsvRow(columns.map(([, getValue]) => getValue(row)));
+        }
+
+        const record = Object.fromEntries(columns.map(([header, getValue]) => [header, getValue(row) ?? null]));
+        const json = `${first ? "" : ","}\n${JSON.stringify(record)}`;
+        first = false;
+        return json;
+      })
+      .join("");
+    open = await writeChunk(res, chunk);
+    cursor = page.cursor;
+  }
+
+  if (open) {
+    res.end(format === "csv" ? "" : "\n]\n");
+  }
+}
@@ -0,0 +1,83 @@
+import crypto from "crypto";
+
+// Commit–reveal draw: the SHA-256 of a random server seed is published when a
+// round opens, and the seed is revealed once the round closes. The winner is
+// HMAC-SHA256(seed, "<roundId>:<entriesHash>") read as an integer, modulo the
+// number of entries, where entries are claim ids sorted ascending. Rounds with
+// several winners repeat the pick for each place over the entries that have
+// not won yet, so first place is identical to a single-winner draw.
+export const FAIRNESS_ALGORITHM = "hmac-sha256-commit-reveal-v1";
+
+export function createServerSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+export function hashSeed(seed) {
+  return crypto.createHash("sha256").update(String(seed)).digest("hex");
+}
+
+export function sortEntryIds(entryIds) {
+  return [...entryIds].map((id) => Number(id)).sort((a, b) => a - b);
+}
+
+export function hashEntries(entryIds) {
+  return crypto.createHash("sha256").update(sortEntryIds(entryIds).join("\n")).digest("hex");
+}
+
+export function pickWinnerIndex(seed, roundId, entryIds) {
+  if (!entryIds.length) {
+    return -1;
+  }
+
+  const digest = crypto
+    .createHmac("sha256", String(seed))
+    .update(`${roundId}:${hashEntries(entryIds)}`)
+    .digest("hex");
+
+  return Number(BigInt(`0x${digest}`) % BigInt(entryIds.length));
+}
+
+export function pickWinnerEntryId(seed, roundId, entryIds) {
+  const sortedIds = sortEntryIds(entryIds);
+  const index = pickWinnerIndex(seed, roundId, sortedIds);
+  return index < 0 ? null : sortedIds[index];
+}
+
+export function pickWinnerEntryIds(seed, roundId, entryIds, count) {
+  const remaining = sortEntryIds(entryIds);
+  const winners = [];
+
+  while (winners.length < count && remaining.length) {
+    const index = pickWinnerIndex(seed, roundId, remaining);
+    winners.push(remaining[index]);
+    remaining.splice(index, 1);
+  }
+
+  return winners;
+}
+
+/**
+ * Recomputes a proof returned by GET /rounds/:id/proof and reports each check.
+ * Proofs from before multi-winner rounds only carry winnerClaimId.
+ */
+export function verifyRoundProof(proof) {
+  const entries = sortEntryIds(proof.entries || []);
+  const seedMatchesCommitment = Boolean(proof.seed) && hashSeed(proof.seed) === proof.seedHash;
+  const entriesHashMatches = hashEntries(entries) === proof.entriesHash;
+  const publishedWinners = proof.winnerClaimIds || (proof.winnerClaimId ? [proof.winnerClaimId] : []);
+  const winnerCount = proof.winnerCount ?? Math.max(1, publishedWinners.length);
+  const expectedWinners = proof.seed ? pickWinnerEntryIds(proof.seed, proof.roundId, entries, winnerCount) : [];
+  const winnerMatches =
+    expectedWinners.length === publishedWinners.length &&
+    expectedWinners.every((claimId, index) => claimId === Number(publishedWinners[index]));
+
+  return {
+    valid: seedMatchesCommitment && entriesHashMatches && winnerMatches,
+    seedMatchesCommitment,
+    entriesHashMatches,
+    winnerMatches,
+    expectedWinnerIndex: proof.seed ? pickWinnerIndex(proof.seed, proof.roundId, entries) : -1,
+    expectedWinnerClaimId: expectedWinners[0] ?? null,
+    expectedWinnerClaimIds: expectedWinners
+  };
+}
@@ -0,0 +1,81 @@
+import net from "net";
+
+// Each signal adds its weight to a claim's fraud score. A score at or above
+// the exclusion threshold keeps the claim out of the draw when exclusion is on.
+// Anyone can type someone else's handle, so a duplicate only marks the later
+// entries and is not enough to exclude one on its own.
+export const FRAUD_FLAGS = {
+  duplicate_payout_id: { weight: 30, label: "Payout handle already entered earlier this round" },
+  handle_many_ips: { weight: 40, label: "Payout handle used from many IP addresses" },
+  subnet_burst: { weight: 30, label: "Burst of entries from one subnet" },
+  repeat_winner: { weight: 20, label: "Payout handle won recently" }
+};
+
+function expandIpv6(ipAddress) {
+  const [head, tail = ""] = ipAddress.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  const missing = ipAddress.includes("::") ? 8 - headParts.length - tailParts.length : 0;
+  return [...headParts, ...Array(Math.max(0, missing)).fill("0"), ...tailParts];
+}
+
+/**
+ * Groups IPv4 addresses by /24 and IPv6 addresses by /64. Returns null for
+ * anything that is not an IP address.
+ */
+export function getIpSubnet(ipAddress) {
+  const value = String(ipAddress || "").trim();
+  if (net.isIPv4(value)) {
+    return `${value.split(".").slice(0, 3).join(".")}.0/24`;
+  }
+
+  if (net.isIPv6(value)) {
+    const prefix = expandIpv6(value.toLowerCase())
+      .slice(0, 4)
+      .map((part) => part.replace(/^0+(?=.)/, ""));
+    return `${prefix.join(":")}::/64`;
+  }
+
+  return null;
+}
+
+/**
+ * Turns raw signal counts into flags and a total score.
+ */
+export function scoreFraudSignals(signals, thresholds) {
+  const flags = [];
+
+  if (signals.earlierSameHandleInRound > 0) {
+    flags.push({
+      flag: "duplicate_payout_id",
+      detail: `Entry ${signals.earlierSameHandleInRound + 1} with this handle in the round`
+    });
+  }
+
+  if (signals.handleIpCount >= thresholds.handleIpCount) {
+    flags.push({
+      flag: "handle_many_ips",
+      detail: `${signals.handleIpCount} IP addresses in ${thresholds.lookbackDays} days`
+    });
+  }
+
+  if (signals.subnetBurstCount >= thresholds.subnetBurstCount) {
+    flags.push({
+      flag: "subnet_burst",
+      detail: `${signals.subnetBurstCount} entries from ${signals.subnet} within ${thresholds.subnetBurstSeconds}s`
+    });
+  }
+
+  if (signals.recentWins > 0) {
+    flags.push({
+      flag: "repeat_winner",
+      detail: `${signals.recentWins} win(s) in ${thresholds.lookbackDays} days`
+    });
+  }
+
+  const weightedFlags = flags.map((flag) => ({ ...flag, weight: FRAUD_FLAGS[flag.flag].weight }));
+  return {
+    score: weightedFlags.reduce((total, flag) => total + flag.weight, 0),
+    flags: weightedFlags
+  };
+}
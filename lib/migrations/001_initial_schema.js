@@ -0,0 +1,363 @@
+// The schema as it stood before versioned migrations. Databases created by
+// older releases already have some or all of it, so tables are created only
+// when missing, later columns are added only when missing and past_winners is
+// rebuilt only if it still has UNIQUE(round_id).
+export const description = "Create or upgrade the schema from before versioned migrations";
+
+async function addColumnIfMissing(db, tableName, columnName, definition) {
+  const columns = await db.all(`PRAGMA table_info(${tableName})`);
+  if (!columns.some((column) => column.name === columnName)) {
+    await db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+  }
+}
+
+async function hasSingleColumnUniqueConstraint(db, tableName, columnName) {
+  const indexes = await db.all(`PRAGMA index_list(${tableName})`);
+  for (const index of indexes.filter((row) => row.unique && row.origin === "u")) {
+    const columns = await db.all(`PRAGMA index_info(${index.name})`);
+    if (columns.length === 1 && columns[0].name === columnName) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// past_winners was created with UNIQUE(round_id), which SQLite can only drop
+// by copying the table.
+async function rebuildPastWinnersForMultipleWinners(db) {
+  const columns = [
+    "id",
+    "round_id",
+    "claim_id",
+    "payout_method",
+    "payout_id",
+    "claim_created_at",
+    "selected_at",
+    "payout_status",
+    "payout_amount_cents",
+    "payout_reference",
+    "payout_sent_at",
+    "payout_notes",
+    "payout_updated_at",
+    "payout_provider",
+    "payout_provider_status",
+    "payout_attempt",
+    "place",
+    "prize_amount_cents",
+    "show_full_handle"
+  ].join(", ");
+
+  await db.exec(`
+    CREATE TABLE past_winners_rebuild (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      round_id TEXT NOT NULL,
+      claim_id INTEGER NOT NULL UNIQUE,
+      payout_method TEXT NOT NULL,
+      payout_id TEXT NOT NULL,
+      claim_created_at INTEGER NOT NULL,
+      selected_at INTEGER NOT NULL,
+      payout_status TEXT NOT NULL DEFAULT 'pending',
+      payout_amount_cents INTEGER,
+      payout_reference TEXT,
+      payout_sent_at INTEGER,
+      payout_notes TEXT,
+      payout_updated_at INTEGER,
+      payout_provider TEXT,
+      payout_provider_status TEXT,
+      payout_attempt INTEGER NOT NULL DEFAULT 0,
+      place INTEGER NOT NULL DEFAULT 1,
+      prize_amount_cents INTEGER,
+      show_full_handle INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (claim_id) REFERENCES claims(id)
+    );
+  `);
+  await db.exec(`INSERT INTO past_winners_rebuild (${columns}) SELECT ${columns} FROM past_winners`);
+  await db.exec("DROP TABLE past_winners");
+  await db.exec("ALTER TABLE past_winners_rebuild RENAME TO past_winners");
+}
+
+export async function up(db, { log }) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS claims (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      payout_method TEXT,
+      payout_id TEXT,
+      created_at INTEGER,
+      is_winner INTEGER DEFAULT 0
+    );
+  `);
+
+  await addColumnIfMissing(db, "claims", "round_id", "TEXT");
+  await addColumnIfMissing(db, "claims", "ip_address", "TEXT");
+  await addColumnIfMissing(db, "claims", "ip_subnet", "TEXT");
+  await addColumnIfMissing(db, "claims", "fraud_score", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "claims", "fraud_excluded", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "claims", "anonymized_at", "INTEGER");
+  await addColumnIfMissing(db, "claims", "claim_token_hash", "TEXT");
+  await db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_claims_round_ip
+    ON claims(round_id, ip_address)
+  `);
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_claims_round_subnet
+    ON claims(round_id, ip_subnet, created_at)
+  `);
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_claims_payout_id
+    ON claims(payout_id COLLATE NOCASE, created_at)
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS claim_fraud_flags (
+      claim_id INTEGER NOT NULL,
+      flag TEXT NOT NULL,
+      weight INTEGER NOT NULL,
+      detail TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (claim_id, flag),
+      FOREIGN KEY (claim_id) REFERENCES claims(id)
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS past_winners (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      round_id TEXT NOT NULL,
+      claim_id INTEGER NOT NULL UNIQUE,
+      payout_method TEXT NOT NULL,
+      payout_id TEXT NOT NULL,
+      claim_created_at INTEGER NOT NULL,
+      selected_at INTEGER NOT NULL,
+      FOREIGN KEY (claim_id) REFERENCES claims(id)
+    );
+  `);
+
+  await addColumnIfMissing(db, "past_winners", "payout_status", "TEXT NOT NULL DEFAULT 'pending'");
+  await addColumnIfMissing(db, "past_winners", "payout_amount_cents", "INTEGER");
+  await addColumnIfMissing(db, "past_winners", "payout_reference", "TEXT");
+  await addColumnIfMissing(db, "past_winners", "payout_sent_at", "INTEGER");
+  await addColumnIfMissing(db, "past_winners", "payout_notes", "TEXT");
+  await addColumnIfMissing(db, "past_winners", "payout_updated_at", "INTEGER");
+  await addColumnIfMissing(db, "past_winners", "payout_provider", "TEXT");
+  await addColumnIfMissing(db, "past_winners", "payout_provider_status", "TEXT");
+  await addColumnIfMissing(db, "past_winners", "payout_attempt", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "past_winners", "place", "INTEGER NOT NULL DEFAULT 1");
+  await addColumnIfMissing(db, "past_winners", "prize_amount_cents", "INTEGER");
+  await addColumnIfMissing(db, "past_winners", "show_full_handle", "INTEGER NOT NULL DEFAULT 0");
+  if (await hasSingleColumnUniqueConstraint(db, "past_winners", "round_id")) {
+    await rebuildPastWinnersForMultipleWinners(db);
+    log("Rebuilt past_winners to allow several winners per round");
+  }
+  await db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_past_winners_round_place
+    ON past_winners(round_id, place)
+  `);
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_past_winners_payout_status
+    ON past_winners(payout_status, selected_at)
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nickname TEXT NOT NULL,
+      message TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      ip_address TEXT NOT NULL
+    );
+  `);
+  await addColumnIfMissing(db, "chat_messages", "sender_role", "TEXT DEFAULT 'player'");
+  await addColumnIfMissing(db, "chat_messages", "deleted_at", "INTEGER");
+  await addColumnIfMissing(db, "chat_messages", "deleted_by", "TEXT");
+  await addColumnIfMissing(db, "chat_messages", "moderation_status", "TEXT NOT NULL DEFAULT 'visible'");
+  await addColumnIfMissing(db, "chat_messages", "moderation_category", "TEXT");
+  await addColumnIfMissing(db, "chat_messages", "moderation_rule", "TEXT");
+  await addColumnIfMissing(db, "chat_messages", "flagged", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "chat_messages", "reviewed_by", "TEXT");
+  await addColumnIfMissing(db, "chat_messages", "reviewed_at", "INTEGER");
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at
+    ON chat_messages(created_at DESC)
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS rounds (
+      id TEXT PRIMARY KEY,
+      opened_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      closed_at INTEGER
+    );
+  `);
+  await addColumnIfMissing(db, "rounds", "seed", "TEXT");
+  await addColumnIfMissing(db, "rounds", "seed_hash", "TEXT");
+  await addColumnIfMissing(db, "rounds", "entries_hash", "TEXT");
+  await addColumnIfMissing(db, "rounds", "entry_count", "INTEGER");
+  await addColumnIfMissing(db, "rounds", "prize_tiers", "TEXT");
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_rounds_status
+    ON rounds(status, opened_at DESC)
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS draw_skip_days (
+      day TEXT PRIMARY KEY,
+      reason TEXT,
+      created_at INTEGER NOT NULL
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_openings (
+      day TEXT PRIMARY KEY,
+      scheduled_for INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      round_id TEXT,
+      detail TEXT,
+      recorded_at INTEGER NOT NULL
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      disabled_at INTEGER
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      csrf_token TEXT NOT NULL,
+      ip_address TEXT,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES admin_users(id)
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      actor_username TEXT,
+      actor_role TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      params TEXT,
+      ip_address TEXT,
+      created_at INTEGER NOT NULL
+    );
+  `);
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action
+    ON admin_audit_log(action, created_at DESC)
+  `);
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor
+    ON admin_audit_log(actor_username, created_at DESC)
+  `);
+  await db.exec(`
+    CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_update
+    BEFORE UPDATE ON admin_audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+    END;
+  `);
+  await db.exec(`
+    CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_delete
+    BEFORE DELETE ON admin_audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+    END;
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_bans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ip_address TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      reason TEXT,
+      created_by TEXT,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER,
+      lifted_at INTEGER,
+      lifted_by TEXT
+    );
+  `);
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_chat_bans_ip
+    ON chat_bans(ip_address, lifted_at)
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_filter_terms (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category TEXT NOT NULL,
+      term TEXT NOT NULL,
+      match_mode TEXT NOT NULL DEFAULT 'compact',
+      created_by TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE (category, term, match_mode)
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_filter_policies (
+      category TEXT PRIMARY KEY,
+      policy TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS data_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_type TEXT NOT NULL,
+      payout_method TEXT NOT NULL,
+      payout_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'unverified',
+      delivery_channel TEXT NOT NULL,
+      code_hash TEXT,
+      code_expires_at INTEGER,
+      code_attempts INTEGER NOT NULL DEFAULT 0,
+      ip_address TEXT,
+      created_at INTEGER NOT NULL,
+      due_at INTEGER NOT NULL,
+      verified_at INTEGER,
+      completed_at INTEGER,
+      completed_by TEXT,
+      notes TEXT
+    );
+  `);
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_data_requests_status
+    ON data_requests(status, due_at)
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at INTEGER NOT NULL
+    );
+  `);
+}
@@ -0,0 +1,10 @@
+import { getIpSubnet } from "../fraud.js";
+
+export const description = "Fill claims.ip_subnet for claims made before subnets were stored";
+
+export async function up(db) {
+  const claims = await db.all("SELECT id, ip_address FROM claims WHERE ip_subnet IS NULL AND ip_address IS NOT NULL");
+  for (const claim of claims) {
+    await db.run("UPDATE claims SET ip_subnet = ? WHERE id = ?", [getIpSubnet(claim.ip_address), claim.id]);
+  }
+}
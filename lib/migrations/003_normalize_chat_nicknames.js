@@ -0,0 +1,15 @@
+// Chat used to show player-chosen nicknames. Players now all post as
+// "potential winner" and staff as "Game Master".
+export const description = "Replace old chat nicknames with the fixed player and Game Master names";
+
+export async function up(db) {
+  await db.run("UPDATE chat_messages SET sender_role = 'player' WHERE sender_role IS NULL OR sender_role = ''");
+  await db.run("UPDATE chat_messages SET nickname = ? WHERE sender_role = 'player' AND nickname <> ?", [
+    "potential winner",
+    "potential winner"
+  ]);
+  await db.run("UPDATE chat_messages SET nickname = ? WHERE sender_role = 'game_master' AND nickname <> ?", [
+    "Game Master",
+    "Game Master"
+  ]);
+}
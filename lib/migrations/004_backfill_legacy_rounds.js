@@ -0,0 +1,53 @@
+// Before rounds and past_winners existed, a winner was only a claim with
+// is_winner = 1 and the round was identified by the claim time.
+export const description = "Copy legacy winning claims into past_winners and rebuild their rounds";
+
+export async function up(db) {
+  await db.run(
+    `
+      UPDATE claims
+      SET round_id = CAST(created_at AS TEXT)
+      WHERE round_id IS NULL
+        AND is_winner = 1
+    `
+  );
+
+  await db.run(
+    `
+      INSERT INTO past_winners (
+        round_id,
+        claim_id,
+        payout_method,
+        payout_id,
+        claim_created_at,
+        selected_at
+      )
+      SELECT
+        COALESCE(round_id, CAST(created_at AS TEXT)),
+        id,
+        payout_method,
+        payout_id,
+        created_at,
+        created_at
+      FROM claims
+      WHERE is_winner = 1
+        AND id NOT IN (SELECT claim_id FROM past_winners)
+    `
+  );
+
+  await db.run(
+    `
+      INSERT OR IGNORE INTO rounds (id, opened_at, expires_at, status, closed_at)
+      SELECT
+        claims.round_id,
+        MIN(claims.created_at),
+        MAX(claims.created_at),
+        'closed',
+        COALESCE(MAX(past_winners.selected_at), MAX(claims.created_at))
+      FROM claims
+      LEFT JOIN past_winners ON past_winners.round_id = claims.round_id
+      WHERE claims.round_id IS NOT NULL
+      GROUP BY claims.round_id
+    `
+  );
+}
@@ -0,0 +1,43 @@
+import { normalizePayoutHandle, resolvePayoutMethod } from "../payouts/methods.js";
+
+// Rewrites stored payout methods and handles into the canonical forms that
+// POST /claim produces. Handles that do not validate are left as entered.
+// Databases that already ran this as the "normalize-payout-handles" data
+// migration skip the rewrite, and the old data_migrations table is dropped.
+export const description = "Normalize stored payout methods and handles";
+
+export async function up(db, { log }) {
+  const legacyTable = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'data_migrations'");
+  const alreadyApplied =
+    legacyTable && (await db.get("SELECT name FROM data_migrations WHERE name = 'normalize-payout-handles'"));
+
+  if (!alreadyApplied) {
+    for (const tableName of ["claims", "past_winners"]) {
+      const rows = await db.all(`SELECT id, payout_method, payout_id FROM ${tableName}`);
+      let updated = 0;
+      let invalid = 0;
+
+      for (const row of rows) {
+        const normalized = normalizePayoutHandle(row.payout_method, row.payout_id);
+        const payoutMethod = normalized.ok ? normalized.method : resolvePayoutMethod(row.payout_method) || row.payout_method;
+        const payoutId = normalized.ok ? normalized.handle : row.payout_id;
+        if (!normalized.ok) {
+          invalid += 1;
+        }
+
+        if (payoutMethod !== row.payout_method || payoutId !== row.payout_id) {
+          await db.run(`UPDATE ${tableName} SET payout_method = ?, payout_id = ? WHERE id = ?`, [
+            payoutMethod,
+            payoutId,
+            row.id
+          ]);
+          updated += 1;
+        }
+      }
+
+      log(`Normalized ${updated} ${tableName} payout handles (${invalid} left as entered)`);
+    }
+  }
+
+  await db.exec("DROP TABLE IF EXISTS data_migrations");
+}
@@ -0,0 +1,112 @@
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+// Schema and data changes live in numbered files next to this one, like
+// "006_add_round_notes.js", exporting a `description` and
+// `up(db, { now, log })`. Each file runs once, inside its own transaction, and
+// is recorded in schema_migrations. Never edit a migration that has shipped;
+// add a new one instead.
+const MIGRATIONS_DIR = dirname(fileURLToPath(import.meta.url));
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+export async function loadMigrations() {
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    if (migrations.some((migration) => migration.version === Number(version))) {
+      throw new Error(`Two migrations are numbered ${version}`);
+    }
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== "function") {
+      throw new Error(`Migration ${file} does not export up()`);
+    }
+
+    migrations.push({ version: Number(version), name, description: module.description || name, up: module.up });
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    );
+  `);
+}
+
+async function getAppliedMigrations(db) {
+  const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  if (!table) {
+    return new Map();
+  }
+
+  const rows = await db.all("SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC");
+  return new Map(rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Lists every known migration with when it was applied (null when pending),
+ * plus any applied version that has no file, which means the database is
+ * newer than this code. Does not write to the database.
+ */
+export async function getMigrationStatus(db) {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(db);
+  const status = migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    appliedAt: applied.get(migration.version)?.applied_at ?? null
+  }));
+  const unknown = [...applied.values()]
+    .filter((row) => !migrations.some((migration) => migration.version === row.version))
+    .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+
+  return { migrations: status, unknown };
+}
+
+/**
+ * Applies pending migrations in order and returns the ones it ran. A failing
+ * migration is rolled back and stops the run, leaving later ones pending.
+ */
+export async function runMigrations(db, { now = Date.now, log = console.log } = {}) {
+  await ensureMigrationsTable(db);
+  const applied = await getAppliedMigrations(db);
+  const ran = [];
+
+  for (const migration of await loadMigrations()) {
+    if (applied.has(migration.version)) {
+      continue;
+    }
+
+    const label = `${String(migration.version).padStart(3, "0")}_${migration.name}`;
+    await db.exec("BEGIN");
+    try {
+      await migration.up(db, { now, log });
+      await db.run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)", [
+        migration.version,
+        migration.name,
+        now()
+      ]);
+      await db.exec("COMMIT");
+    } catch (err) {
+      await db.exec("ROLLBACK");
+      throw new Error(`Migration ${label} failed: ${err.message}`, { cause: err });
+    }
+
+    log(`Applied migration ${label}`);
+    ran.push(migration);
+  }
+
+  return ran;
+}
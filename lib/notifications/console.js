@@ -0,0 +1,18 @@
+// Logs messages instead of sending them and keeps them in `sent` so they can
+// be inspected without a live SMS account.
+export function createConsoleTransport({ silent = false } = {}) {
+  const sent = [];
+
+  return {
+    name: "console",
+    reachesPhones: false,
+    sent,
+
+    async send({ to, body }) {
+      sent.push({ to, body, sentAt: Date.now() });
+      if (!silent) {
+        console.log(`[sms to ${to}] ${body}`);
+      }
+    }
+  };
+}
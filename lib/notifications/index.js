@@ -0,0 +1,55 @@
+import { createConsoleTransport } from "./console.js";
+import { createTwilioTransport } from "./twilio.js";
+
+// A notification transport exposes:
+//   name
+//   reachesPhones      true when send() delivers a real text message
+//   send({ to, body }) -> Promise
+const NOTIFICATION_TRANSPORT_FACTORIES = {
+  console: createConsoleTransport,
+  twilio: createTwilioTransport
+};
+
+const NOTIFICATION_TEMPLATES = {
+  roundOpened: ({ roundId, seconds }) => `$20 Game: draw window opened for ${seconds}s (round ${roundId}).`,
+  winnerSelected: ({ roundId, claimIds, totalPlayers }) =>
+    claimIds.length === 1
+      ? `$20 Game: winner selected for round ${roundId} (claim ${claimIds[0]}, ${totalPlayers} players).`
+      : `$20 Game: ${claimIds.length} winners selected for round ${roundId} (claims ${claimIds.join(", ")}, ${totalPlayers} players).`,
+  roundClosedEmpty: ({ roundId }) => `$20 Game: round ${roundId} closed with no claims.`,
+  scheduledOpenFailed: ({ day, reason }) => `$20 Game: scheduled draw for ${day} did not open. ${reason}`
+};
+
+export function createNotificationTransport(name, options = {}) {
+  const factory = NOTIFICATION_TRANSPORT_FACTORIES[String(name || "").toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown notification transport "${name}"`);
+  }
+
+  return factory(options);
+}
+
+export function createNotifier({ transport, recipients = [] }) {
+  return {
+    transport,
+
+    // Notifications never fail the draw: delivery errors are logged and swallowed.
+    async notify(event, data = {}) {
+      const template = NOTIFICATION_TEMPLATES[event];
+      if (!template) {
+        throw new Error(`Unknown notification event "${event}"`);
+      }
+
+      const body = template(data);
+      await Promise.all(
+        recipients.map(async (to) => {
+          try {
+            await transport.send({ to, body });
+          } catch (err) {
+            console.error(`Notification ${event} to ${to} failed:`, err.message);
+          }
+        })
+      );
+    }
+  };
+}
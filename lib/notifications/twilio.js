@@ -0,0 +1,18 @@
+import twilio from "twilio";
+
+export function createTwilioTransport({ accountSid, authToken, from } = {}) {
+  if (!accountSid || !authToken || !from) {
+    throw new Error("TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER must be set");
+  }
+
+  const client = twilio(accountSid, authToken);
+
+  return {
+    name: "twilio",
+    reachesPhones: true,
+
+    async send({ to, body }) {
+      await client.messages.create({ to, from, body });
+    }
+  };
+}
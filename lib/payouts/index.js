@@ -0,0 +1,30 @@
+import { createLocalPayoutProvider } from "./local.js";
+import { createPaypalPayoutProvider } from "./paypal.js";
+
+// A payout provider exposes:
+//   name
+//   supports(method)                    -> boolean
+//   send({ winnerId, method, recipient, amountCents, currency, note, batchId? })
+//                                       -> { status, reference, providerStatus, detail }
+//                                          batchId names one payment attempt; sending the
+//                                          same batchId again must never pay twice.
+//   checkStatus(reference)              -> { status, providerStatus, detail }
+//   parseWebhook(req)                   -> [{ reference, status, providerStatus, detail }]
+// where status is one of the winner payout statuses: pending, sent, failed, returned.
+const PAYOUT_PROVIDER_FACTORIES = {
+  local: createLocalPayoutProvider,
+  paypal: createPaypalPayoutProvider
+};
+
+export function createPayoutProvider(name, options = {}) {
+  const factory = PAYOUT_PROVIDER_FACTORIES[String(name || "").toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown payout provider "${name}"`);
+  }
+
+  return factory(options);
+}
+
+export function getPayoutProviderNames() {
+  return Object.keys(PAYOUT_PROVIDER_FACTORIES);
+}
@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const LOCAL_OUTCOMES = ["sent", "pending", "failed"];
+
+function secretMatches(provided, expected) {
+  const providedHash = crypto.createHash("sha256").update(String(provided || "")).digest();
+  const expectedHash = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+// Records payouts to a JSON-lines file instead of moving money. The outcome of
+// every send can be forced with the `outcome` option (or PAYOUT_SANDBOX_OUTCOME)
+// and later changed by posting { reference, status } to the webhook route with
+// the `webhookSecret` (PAYOUT_SANDBOX_WEBHOOK_SECRET) in an
+// x-sandbox-webhook-secret header. Without a secret the webhook is refused.
+export function createLocalPayoutProvider({ filePath, outcome = "sent", webhookSecret, now = Date.now } = {}) {
+  if (!filePath) {
+    throw new Error("The local payout provider needs a filePath");
+  }
+
+  if (!LOCAL_OUTCOMES.includes(outcome)) {
+    throw new Error(`Local payout outcome must be one of: ${LOCAL_OUTCOMES.join(", ")}`);
+  }
+
+  function readEntries() {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    return fs
+      .readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  }
+
+  function appendEntry(entry) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+  }
+
+  function findLatest(reference) {
+    return readEntries()
+      .filter((entry) => entry.reference === reference)
+      .pop();
+  }
+
+  return {
+    name: "local",
+
+    supports() {
+      return true;
+    },
+
+    async send({ winnerId, batchId, method, recipient, amountCents, currency, note }) {
+      const reference = `local-${batchId || crypto.randomUUID()}`;
+      const existing = findLatest(reference);
+      if (existing) {
+        return {
+          status: existing.status,
+          reference,
+          providerStatus: existing.status.toUpperCase(),
+          detail: "Local sandbox already has this batch"
+        };
+      }
+
+      const entry = {
+        reference,
+        winnerId,
+        method,
+        recipient,
+        amountCents,
+        currency,
+        note,
+        status: outcome,
+        recordedAt: now()
+      };
+      appendEntry(entry);
+
+      return {
+        status: outcome,
+        reference,
+        providerStatus: outcome.toUpperCase(),
+        detail: outcome === "failed" ? "Local sandbox payout failed" : null
+      };
+    },
+
+    async checkStatus(reference) {
+      const entry = findLatest(reference);
+      if (!entry) {
+        throw new Error(`Unknown local payout reference ${reference}`);
+      }
+
+      return { status: entry.status, providerStatus: entry.status.toUpperCase(), detail: null };
+    },
+
+    async parseWebhook(req) {
+      if (!webhookSecret) {
+        throw new Error("PAYOUT_SANDBOX_WEBHOOK_SECRET is not set");
+      }
+
+      if (!secretMatches(req.get("x-sandbox-webhook-secret"), webhookSecret)) {
+        throw new Error("Local payout webhook secret does not match");
+      }
+
+      const { reference, status } = req.body || {};
+      const existing = findLatest(reference);
+      if (!existing || !["pending", "sent", "failed", "returned"].includes(status)) {
+        throw new Error("Invalid local payout webhook");
+      }
+
+      appendEntry({ ...existing, status, recordedAt: now() });
+      return [{ reference, status, providerStatus: status.toUpperCase(), detail: null }];
+    }
+  };
+}
@@ -0,0 +1,146 @@
+// Payout methods players can enter with. Each method turns whatever the player
+// typed into one canonical handle so payouts and duplicate checks see the same
+// value for "@Jane-Doe", "jane-doe" and " @jane-doe ".
+//
+// normalize(value) -> { ok: true, handle } | { ok: false, msg }
+
+// Only characters real mailboxes use, so a handle can never carry markup.
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}$/i;
+
+function normalizePhone(value) {
+  const digits = value.replace(/[\s().-]/g, "");
+  if (/^\d{10}$/.test(digits)) {
+    return `+1${digits}`;
+  }
+
+  if (/^1\d{10}$/.test(digits)) {
+    return `+${digits}`;
+  }
+
+  if (/^\+\d{8,15}$/.test(digits)) {
+    return digits;
+  }
+
+  return null;
+}
+
+export const PAYOUT_METHODS = {
+  Venmo: {
+    aliases: ["venmo"],
+    example: "@jane-doe",
+    normalize(value) {
+      const username = value.replace(/^@/, "").toLowerCase();
+      if (!/^[a-z0-9_-]{5,30}$/.test(username)) {
+        return {
+          ok: false,
+          msg: "Venmo usernames are 5-30 letters, numbers, dashes or underscores, like @jane-doe."
+        };
+      }
+
+      return { ok: true, handle: `@${username}` };
+    }
+  },
+  CashApp: {
+    aliases: ["cashapp", "cash app", "cash_app", "cash-app"],
+    example: "$janedoe",
+    normalize(value) {
+      const cashtag = value.replace(/^\$/, "").toLowerCase();
+      if (!/^[a-z0-9]{1,20}$/.test(cashtag) || !/[a-z]/.test(cashtag)) {
+        return {
+          ok: false,
+          msg: "Cash App $cashtags are up to 20 letters and numbers with at least one letter, like $janedoe."
+        };
+      }
+
+      return { ok: true, handle: `$${cashtag}` };
+    }
+  },
+  PayPal: {
+    aliases: ["paypal", "pay pal"],
+    example: "jane@example.com",
+    normalize(value) {
+      if (EMAIL_PATTERN.test(value)) {
+        return { ok: true, handle: value.toLowerCase() };
+      }
+
+      const phone = normalizePhone(value);
+      if (phone) {
+        return { ok: true, handle: phone };
+      }
+
+      return { ok: false, msg: "Enter the email address or phone number on your PayPal account." };
+    }
+  }
+};
+
+export function getPayoutMethodNames() {
+  return Object.keys(PAYOUT_METHODS);
+}
+
+/**
+ * Maps any accepted spelling of a method ("paypal", "Cash App") to its
+ * registry name, or null when the method is not supported.
+ */
+export function resolvePayoutMethod(method) {
+  const key = String(method || "").trim().toLowerCase();
+  if (!key) {
+    return null;
+  }
+
+  return (
+    Object.keys(PAYOUT_METHODS).find(
+      (name) => name.toLowerCase() === key || PAYOUT_METHODS[name].aliases.includes(key)
+    ) || null
+  );
+}
+
+export function normalizePayoutHandle(method, handle) {
+  const methodName = resolvePayoutMethod(method);
+  if (!methodName) {
+    return {
+      ok: false,
+      msg: `Unknown payout method. Choose one of: ${getPayoutMethodNames().join(", ")}.`
+    };
+  }
+
+  const value = String(handle || "").trim();
+  if (!value) {
+    return { ok: false, msg: `Enter your ${methodName} handle, like ${PAYOUT_METHODS[methodName].example}.` };
+  }
+
+  const result = PAYOUT_METHODS[methodName].normalize(value);
+  return result.ok ? { ok: true, method: methodName, handle: result.handle } : result;
+}
+
+function maskText(value) {
+  if (value.length <= 3) {
+    return `${value.slice(0, 1)}***`;
+  }
+
+  return `${value.slice(0, 2)}***${value.slice(-1)}`;
+}
+
+/**
+ * Shortens a payout handle for public display: "@jane-doe" becomes
+ * "@ja***e", emails keep their domain and phone numbers their last two digits.
+ */
+export function maskPayoutHandle(handle) {
+  const value = String(handle || "").trim();
+  if (!value) {
+    return null;
+  }
+
+  const prefix = /^[@$]/.test(value) ? value[0] : "";
+  const body = value.slice(prefix.length);
+
+  if (body.includes("@")) {
+    const [localPart, domain] = body.split("@");
+    return `${prefix}${maskText(localPart)}@${domain}`;
+  }
+
+  if (/^\+?\d{6,}$/.test(body)) {
+    return `${body.startsWith("+") ? "+" : ""}***${body.slice(-2)}`;
+  }
+
+  return `${prefix}${maskText(body)}`;
+}
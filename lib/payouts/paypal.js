@@ -0,0 +1,190 @@
+import fetch from "node-fetch";
+
+const PAYPAL_API_BASE = {
+  live: "https://api-m.paypal.com",
+  sandbox: "https://api-m.sandbox.paypal.com"
+};
+
+// PayPal Payouts item transaction_status values mapped onto winner payout statuses.
+const PAYPAL_STATUS_MAP = {
+  SUCCESS: "sent",
+  PENDING: "pending",
+  UNCLAIMED: "pending",
+  ONHOLD: "pending",
+  NEW: "pending",
+  FAILED: "failed",
+  BLOCKED: "failed",
+  DENIED: "failed",
+  RETURNED: "returned",
+  REFUNDED: "returned",
+  REVERSED: "returned"
+};
+
+function mapPaypalStatus(value) {
+  return PAYPAL_STATUS_MAP[String(value || "").toUpperCase()] || "pending";
+}
+
+// Venmo is paid through PayPal Payouts with the VENMO recipient wallet.
+function buildRecipient(method, recipient) {
+  const normalizedMethod = String(method || "").toLowerCase();
+  const isEmail = recipient.includes("@") && !recipient.startsWith("@");
+  const isPhone = /^\+?[\d\s().-]{10,}$/.test(recipient);
+
+  if (normalizedMethod === "venmo") {
+    if (isPhone) {
+      return { recipient_type: "PHONE", receiver: recipient.replace(/[^\d+]/g, ""), recipient_wallet: "VENMO" };
+    }
+
+    return {
+      recipient_type: isEmail ? "EMAIL" : "USER_HANDLE",
+      receiver: isEmail ? recipient : recipient.replace(/^@/, ""),
+      recipient_wallet: "VENMO"
+    };
+  }
+
+  return {
+    recipient_type: isPhone ? "PHONE" : "EMAIL",
+    receiver: isPhone ? recipient.replace(/[^\d+]/g, "") : recipient,
+    recipient_wallet: "PAYPAL"
+  };
+}
+
+export function createPaypalPayoutProvider({
+  clientId,
+  clientSecret,
+  webhookId,
+  environment = "sandbox",
+  fetchImpl = fetch
+} = {}) {
+  if (!clientId || !clientSecret) {
+    throw new Error("PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET must be set");
+  }
+
+  const apiBase = PAYPAL_API_BASE[environment];
+  if (!apiBase) {
+    throw new Error(`PayPal environment must be one of: ${Object.keys(PAYPAL_API_BASE).join(", ")}`);
+  }
+
+  let cachedToken = null;
+
+  async function getAccessToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now() + 60000) {
+      return cachedToken.value;
+    }
+
+    const resp = await fetchImpl(`${apiBase}/v1/oauth2/token`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: "grant_type=client_credentials"
+    });
+    const data = await resp.json();
+    if (!resp.ok || !data.access_token) {
+      throw new Error(`PayPal authentication failed: ${data.error_description || resp.status}`);
+    }
+
+    cachedToken = { value: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+    return cachedToken.value;
+  }
+
+  async function paypalRequest(method, pathname, body) {
+    const resp = await fetchImpl(`${apiBase}${pathname}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        "Content-Type": "application/json"
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      throw new Error(`PayPal request failed: ${data.message || data.name || resp.status}`);
+    }
+
+    return data;
+  }
+
+  return {
+    name: "paypal",
+
+    supports(method) {
+      return ["paypal", "venmo"].includes(String(method || "").toLowerCase());
+    },
+
+    async send({ winnerId, batchId = `winner-${winnerId}`, method, recipient, amountCents, currency, note }) {
+      const data = await paypalRequest("POST", "/v1/payments/payouts", {
+        sender_batch_header: {
+          // PayPal rejects a second batch with the same id, so a retried
+          // send cannot pay twice.
+          sender_batch_id: batchId,
+          email_subject: "You won The $20 Dollar Game!",
+          email_message: note
+        },
+        items: [
+          {
+            ...buildRecipient(method, recipient),
+            amount: { value: (amountCents / 100).toFixed(2), currency },
+            note,
+            sender_item_id: `winner-${winnerId}`
+          }
+        ]
+      });
+
+      const batchStatus = data.batch_header?.batch_status;
+      return {
+        status: batchStatus === "DENIED" ? "failed" : "pending",
+        reference: data.batch_header?.payout_batch_id,
+        providerStatus: batchStatus || null,
+        detail: null
+      };
+    },
+
+    async checkStatus(reference) {
+      const data = await paypalRequest("GET", `/v1/payments/payouts/${encodeURIComponent(reference)}`);
+      const item = data.items?.[0];
+      const providerStatus = item?.transaction_status || data.batch_header?.batch_status;
+
+      return {
+        status: item ? mapPaypalStatus(providerStatus) : providerStatus === "DENIED" ? "failed" : "pending",
+        providerStatus: providerStatus || null,
+        detail: item?.errors?.message || null
+      };
+    },
+
+    async parseWebhook(req) {
+      if (!webhookId) {
+        throw new Error("PAYPAL_WEBHOOK_ID must be set to accept webhooks");
+      }
+
+      const verification = await paypalRequest("POST", "/v1/notifications/verify-webhook-signature", {
+        auth_algo: req.headers["paypal-auth-algo"],
+        cert_url: req.headers["paypal-cert-url"],
+        transmission_id: req.headers["paypal-transmission-id"],
+        transmission_sig: req.headers["paypal-transmission-sig"],
+        transmission_time: req.headers["paypal-transmission-time"],
+        webhook_id: webhookId,
+        webhook_event: req.body
+      });
+      if (verification.verification_status !== "SUCCESS") {
+        throw new Error("PayPal webhook signature could not be verified");
+      }
+
+      const resource = req.body?.resource || {};
+      const reference = resource.payout_batch_id;
+      if (!String(req.body?.event_type || "").startsWith("PAYMENT.PAYOUTS-ITEM.") || !reference) {
+        return [];
+      }
+
+      return [
+        {
+          reference,
+          status: mapPaypalStatus(resource.transaction_status),
+          providerStatus: resource.transaction_status || null,
+          detail: resource.errors?.message || null
+        }
+      ];
+    }
+  };
+}
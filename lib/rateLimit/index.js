@@ -0,0 +1,85 @@
+import { createMemoryRateLimitStore } from "./memory.js";
+import { createSqliteRateLimitStore } from "./sqlite.js";
+
+// A rate limit store exposes:
+//   name
+//   increment(key, windowMs, now) -> { count, resetAt }   fixed window counter
+//   prune(now)                                             drops expired counters
+const RATE_LIMIT_STORE_FACTORIES = {
+  memory: createMemoryRateLimitStore,
+  sqlite: createSqliteRateLimitStore
+};
+
+export function createRateLimitStore(name, options = {}) {
+  const factory = RATE_LIMIT_STORE_FACTORIES[String(name || "").toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store "${name}"`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Returns rateLimit(policyName), an Express middleware that counts the request
+ * against every key the policy is keyed by and rejects it with 429 once any
+ * of them is over the limit. Counters go to `store` unless the policy names
+ * one of `stores` in its `store` field. `keyResolvers` maps key names ("ip",
+ * "payoutHandle") to functions returning the key for a request, or null to
+ * skip that key. `now` supplies the current time in milliseconds.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset for
+ * the tightest key, plus Retry-After when rejected. A store error lets the
+ * request through rather than taking the endpoint down.
+ */
+export function createRateLimiter({ store, stores = {}, policies, keyResolvers, now: getNow = Date.now }) {
+  return function rateLimit(policyName) {
+    const policy = policies[policyName];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy "${policyName}"`);
+    }
+
+    const policyStore = policy.store ? stores[policy.store] : store;
+    if (!policyStore) {
+      throw new Error(`Rate limit policy "${policyName}" uses unknown store "${policy.store}"`);
+    }
+
+    return async (req, res, next) => {
+      const now = getNow();
+      let tightest = null;
+
+      try {
+        for (const keyName of policy.keyBy) {
+          const value = keyResolvers[keyName](req);
+          if (!value) {
+            continue;
+          }
+
+          const counter = await policyStore.increment(`${policyName}:${keyName}:${value}`, policy.windowMs, now);
+          const remaining = policy.max - counter.count;
+          if (!tightest || remaining < tightest.remaining) {
+            tightest = { remaining, resetAt: counter.resetAt };
+          }
+        }
+      } catch (err) {
+        console.error(`Rate limit ${policyName} error:`, err);
+        return next();
+      }
+
+      if (!tightest) {
+        return next();
+      }
+
+      const resetSeconds = Math.max(1, Math.ceil((tightest.resetAt - now) / 1000));
+      res.setHeader("RateLimit-Limit", String(policy.max));
+      res.setHeader("RateLimit-Remaining", String(Math.max(0, tightest.remaining)));
+      res.setHeader("RateLimit-Reset", String(resetSeconds));
+
+      if (tightest.remaining < 0) {
+        res.setHeader("Retry-After", String(resetSeconds));
+        return res.status(429).json({ ok: false, msg: policy.message });
+      }
+
+      return next();
+    };
+  };
+}
@@ -0,0 +1,26 @@
+// Keeps counters in process memory. Limits reset when the server restarts.
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  return {
+    name: "memory",
+
+    async increment(key, windowMs, now = Date.now()) {
+      const existing = counters.get(key);
+      const counter =
+        existing && existing.resetAt > now
+          ? { count: existing.count + 1, resetAt: existing.resetAt }
+          : { count: 1, resetAt: now + windowMs };
+      counters.set(key, counter);
+      return counter;
+    },
+
+    async prune(now = Date.now()) {
+      for (const [key, counter] of counters.entries()) {
+        if (counter.resetAt <= now) {
+          counters.delete(key);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,30 @@
+// Keeps counters in the rate_limits table so limits survive restarts. The
+// table is created by the initial schema migration.
+export function createSqliteRateLimitStore({ db } = {}) {
+  if (!db) {
+    throw new Error("The sqlite rate limit store needs a database");
+  }
+
+  return {
+    name: "sqlite",
+
+    async increment(key, windowMs, now = Date.now()) {
+      const row = await db.get(
+        `
+          INSERT INTO rate_limits (key, count, reset_at)
+          VALUES (?, 1, ?)
+          ON CONFLICT(key) DO UPDATE SET
+            count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+            reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+          RETURNING count, reset_at
+        `,
+        [key, now + windowMs, now, now]
+      );
+      return { count: row.count, resetAt: row.reset_at };
+    },
+
+    async prune(now = Date.now()) {
+      await db.run("DELETE FROM rate_limits WHERE reset_at <= ?", [now]);
+    }
+  };
+}
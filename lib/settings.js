@@ -0,0 +1,102 @@
+// Game settings operators can change at runtime. Values are stored as JSON in
+// the settings table; anything missing falls back to defaultValue. Settings
+// marked public are included in GET /state for the player page.
+export const SETTING_DEFINITIONS = {
+  drawTimeZone: {
+    type: "timeZone",
+    defaultValue: "America/Los_Angeles",
+    public: true,
+    label: "Draw time zone (IANA name)"
+  },
+  drawHour: { type: "integer", min: 0, max: 23, defaultValue: 19, public: true, label: "Daily draw hour" },
+  drawMinute: { type: "integer", min: 0, max: 59, defaultValue: 0, public: true, label: "Daily draw minute" },
+  drawWindowSeconds: {
+    type: "integer",
+    min: 10,
+    max: 3600,
+    defaultValue: 120,
+    public: true,
+    label: "Entry window (seconds)"
+  },
+  prizeAmountCents: {
+    type: "integer",
+    min: 100,
+    max: 100000,
+    defaultValue: 2000,
+    public: true,
+    label: "Prize amount (cents)"
+  },
+  chatSlowModeSeconds: {
+    type: "integer",
+    min: 0,
+    max: 600,
+    defaultValue: 8,
+    public: true,
+    label: "Chat slow mode (seconds between posts)"
+  },
+  chatMaxPostsPerMinute: { type: "integer", min: 1, max: 60, defaultValue: 6, label: "Chat posts per minute" },
+  chatRetentionHours: { type: "integer", min: 1, max: 720, defaultValue: 24, label: "Chat retention (hours)" },
+  unpaidWinnerHours: { type: "integer", min: 1, max: 720, defaultValue: 24, label: "Unpaid winner alert (hours)" },
+  claimRetentionDays: {
+    type: "integer",
+    min: 1,
+    max: 3650,
+    defaultValue: 90,
+    label: "Days before claim IPs and losing handles are anonymized"
+  }
+};
+
+function isValidTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks one incoming value against its definition and returns the value to
+ * store, or a message naming what is wrong.
+ */
+export function validateSetting(key, value) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    return { ok: false, msg: `Unknown setting "${key}"` };
+  }
+
+  if (definition.type === "integer") {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (!Number.isInteger(number) || number < definition.min || number > definition.max) {
+      return {
+        ok: false,
+        msg: `${definition.label} must be a whole number from ${definition.min} to ${definition.max}`
+      };
+    }
+    return { ok: true, value: number };
+  }
+
+  if (definition.type === "timeZone") {
+    const timeZone = String(value || "").trim();
+    if (!timeZone || !isValidTimeZone(timeZone)) {
+      return { ok: false, msg: `${definition.label} must be a time zone like America/Los_Angeles` };
+    }
+    return { ok: true, value: timeZone };
+  }
+
+  return { ok: false, msg: `Setting "${key}" has an unsupported type` };
+}
+
+export function getDefaultSettings() {
+  return Object.fromEntries(
+    Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.defaultValue])
+  );
+}
+
+export function getPublicSettings(settings) {
+  return Object.fromEntries(
+    Object.keys(SETTING_DEFINITIONS)
+      .filter((key) => SETTING_DEFINITIONS[key].public)
+      .map((key) => [key, settings[key]])
+  );
+}
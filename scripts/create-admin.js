@@ -0,0 +1,74 @@
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import readline from "readline";
+import { Writable } from "stream";
+import sqlite3 from "sqlite3";
+import * as sqlite from "sqlite";
+import {
+  ADMIN_ROLES,
+  hashPassword,
+  validateAdminPassword,
+  validateAdminUsername
+} from "../lib/adminAuth.js";
+
+// Usage: npm run create-admin -- <username> <moderator|operator>
+// The password is read from ADMIN_NEW_PASSWORD or prompted for.
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DB_PATH = path.join(__dirname, "..", "data", "claims.db");
+
+const [username, role = "operator"] = process.argv.slice(2);
+
+if (!validateAdminUsername(username) || !ADMIN_ROLES.includes(role)) {
+  console.error(`Usage: npm run create-admin -- <username> <${ADMIN_ROLES.join("|")}>`);
+  console.error("Usernames are 3-32 lowercase letters, digits, dots, dashes or underscores.");
+  process.exit(1);
+}
+
+// The prompt is written, then output is muted so the password is not echoed.
+async function promptPassword() {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+  const password = await new Promise((resolvePassword) => {
+    rl.question("Password (12+ characters): ", resolvePassword);
+    muted = true;
+  });
+  rl.close();
+  process.stdout.write("\n");
+  return password;
+}
+
+const password = process.env.ADMIN_NEW_PASSWORD || (await promptPassword());
+if (!validateAdminPassword(password)) {
+  console.error("Passwords must be at least 12 characters.");
+  process.exit(1);
+}
+
+const db = await sqlite.open({ filename: DB_PATH, driver: sqlite3.Database });
+const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'admin_users'");
+if (!table) {
+  console.error("Run npm run migrate -- up or start the server once so the database is created, then run this again.");
+  process.exit(1);
+}
+
+await db.run(
+  `
+    INSERT INTO admin_users (username, password_hash, role, created_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(username) DO UPDATE SET
+      password_hash = excluded.password_hash,
+      role = excluded.role,
+      disabled_at = NULL
+  `,
+  [username, await hashPassword(password), role, Date.now()]
+);
+await db.close();
+
+console.log(`Admin ${username} saved with role ${role}.`);
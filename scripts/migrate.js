@@ -0,0 +1,56 @@
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import sqlite3 from "sqlite3";
+import * as sqlite from "sqlite";
+import { getMigrationStatus, runMigrations } from "../lib/migrations/index.js";
+
+// Usage: npm run migrate -- status|up
+// status lists applied and pending migrations without changing anything; up
+// applies the pending ones. The server also applies pending migrations when it
+// starts, so up is only needed to migrate ahead of a deploy.
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, "..", "data");
+const DB_PATH = path.join(DATA_DIR, "claims.db");
+
+const command = process.argv[2];
+if (!["status", "up"].includes(command)) {
+  console.error("Usage: npm run migrate -- status|up");
+  process.exit(1);
+}
+
+function formatVersion(version) {
+  return String(version).padStart(3, "0");
+}
+
+if (command === "status") {
+  // With no database yet every migration is pending, which an empty in-memory
+  // database reports the same way.
+  const db = fs.existsSync(DB_PATH)
+    ? await sqlite.open({ filename: DB_PATH, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY })
+    : await sqlite.open({ filename: ":memory:", driver: sqlite3.Database });
+  const { migrations, unknown } = await getMigrationStatus(db);
+  await db.close();
+
+  for (const migration of migrations) {
+    const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : "pending";
+    console.log(`${formatVersion(migration.version)}_${migration.name}  ${state}  ${migration.description}`);
+  }
+  for (const migration of unknown) {
+    console.log(`${formatVersion(migration.version)}_${migration.name}  applied, but no migration file in this version`);
+  }
+
+  process.exit(0);
+}
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+const db = await sqlite.open({ filename: DB_PATH, driver: sqlite3.Database });
+try {
+  const ran = await runMigrations(db);
+  console.log(ran.length ? `Applied ${ran.length} migration(s).` : "Database is up to date.");
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await db.close();
+}
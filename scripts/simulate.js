@@ -0,0 +1,167 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import sqlite3 from "sqlite3";
+import * as sqlite from "sqlite";
+import { createManualClock } from "../lib/clock.js";
+import { verifyRoundProof } from "../lib/fairness.js";
+
+// Usage: npm run simulate -- [--days 7] [--start 2026-03-07] [--entrants 25] [--players 40] [--seed 1] [--verbose]
+// Runs the daily draw on a simulated clock against a throwaway in-memory
+// database: each day opens at the scheduled time, synthetic players enter over
+// HTTP, the window closes and the midnight reset runs. Nothing touches data/.
+const { values: options } = parseArgs({
+  options: {
+    days: { type: "string", default: "7" },
+    start: { type: "string" },
+    entrants: { type: "string", default: "25" },
+    players: { type: "string", default: "40" },
+    seed: { type: "string", default: "1" },
+    verbose: { type: "boolean", default: false }
+  }
+});
+
+const days = Number.parseInt(options.days, 10);
+const entrantsPerDay = Number.parseInt(options.entrants, 10);
+const playerPoolSize = Number.parseInt(options.players, 10);
+const startDay = options.start || new Date().toISOString().slice(0, 10);
+if (!(days > 0) || !(entrantsPerDay >= 0) || !(playerPoolSize > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(startDay)) {
+  console.error("Usage: npm run simulate -- [--days N] [--start YYYY-MM-DD] [--entrants N] [--players N] [--seed N]");
+  process.exit(1);
+}
+
+// Small seeded generator so the same --seed picks the same entrants.
+function createRandom(seed) {
+  let state = Number.parseInt(seed, 10) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pickEntrants(random) {
+  const players = Array.from({ length: playerPoolSize }, (_, index) => index);
+  for (let i = players.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [players[i], players[j]] = [players[j], players[i]];
+  }
+  return players.slice(0, Math.min(entrantsPerDay, playerPoolSize));
+}
+
+function formatInZone(ms, timeZone) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short"
+  }).format(new Date(ms));
+}
+
+process.env.CAPTCHA_PROVIDER = "local";
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.OPERATOR_SMS_NUMBERS = "";
+delete process.env.PAYOUT_PROVIDER;
+
+const log = console.log;
+if (!options.verbose) {
+  console.log = () => {};
+}
+
+const { createApp } = await import("../lib/app.js");
+
+const [year, month, day] = startDay.split("-").map((part) => Number.parseInt(part, 10));
+// Start early enough that local midnight of the start day is still ahead in
+// every time zone.
+const clock = createManualClock(Date.UTC(year, month - 1, day) - 14 * 60 * 60 * 1000);
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "the20dollargame-sim-"));
+const database = await sqlite.open({ filename: ":memory:", driver: sqlite3.Database });
+const game = await createApp({ clock, database, dataDir });
+const server = game.app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+const timeZone = game.getSetting("drawTimeZone");
+const random = createRandom(options.seed);
+const results = [];
+
+async function enter(playerIndex) {
+  const resp = await fetch(`${baseUrl}/claim`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Forwarded-For": `10.${Math.floor(playerIndex / 250)}.${playerIndex % 250}.${1 + Math.floor(random() * 200)}`
+    },
+    body: JSON.stringify({ payout_method: "Venmo", payout_id: `@sim-player-${playerIndex}`, captcha: "pass" })
+  });
+  return resp.ok;
+}
+
+await clock.advanceTo(game.drawLocalDateTimeToMs({ year, month, day }));
+
+try {
+  for (let dayIndex = 0; dayIndex < days; dayIndex += 1) {
+    const dayKey = game.getDrawDayKey();
+    const drawStartMs = game.getDrawStartMs();
+    await clock.advanceTo(drawStartMs);
+
+    const round = await game.runDailyDraw();
+    const result = { day: dayKey, opens: formatInZone(drawStartMs, timeZone), opensUtc: new Date(drawStartMs).toISOString() };
+
+    if (!round) {
+      const opening = await game.db.get("SELECT status, detail FROM scheduled_openings WHERE day = ?", [dayKey]);
+      results.push({ ...result, entrants: 0, winners: opening ? `${opening.status}: ${opening.detail || "-"}` : "not opened" });
+    } else {
+      const entrants = pickEntrants(random);
+      const step = Math.floor((round.expires_at - round.opened_at) / (entrants.length + 1));
+      let accepted = 0;
+      for (const playerIndex of entrants) {
+        await clock.advance(step);
+        accepted += (await enter(playerIndex)) ? 1 : 0;
+      }
+
+      await clock.advanceTo(round.expires_at);
+      const winners = await game.db.all(
+        "SELECT place, payout_id, prize_amount_cents FROM past_winners WHERE round_id = ? ORDER BY place ASC",
+        [round.id]
+      );
+      const proofBody = await (await fetch(`${baseUrl}/rounds/${round.id}/proof`)).json();
+      const reopened = await game.runDailyDraw();
+
+      results.push({
+        ...result,
+        entrants: accepted,
+        winners: winners.map((winner) => `${winner.place}. ${winner.payout_id}`).join(", ") || "none",
+        proof: proofBody.proof?.seed ? (verifyRoundProof(proofBody.proof).valid ? "ok" : "MISMATCH") : "-",
+        secondOpen: reopened ? "OPENED" : "blocked"
+      });
+    }
+
+    const nextMidnightMs = game.drawMidnightMs(new Date(game.drawMidnightMs() + 36 * 60 * 60 * 1000));
+    await clock.advanceTo(nextMidnightMs);
+    await game.runMidnightReset();
+  }
+} finally {
+  server.close();
+  await database.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  console.log = log;
+}
+
+console.log(`Simulated ${days} day(s) from ${startDay} in ${timeZone}, ${entrantsPerDay} entrants a day from ${playerPoolSize} players`);
+console.table(results);
+
+const repeatWinners = new Map();
+for (const result of results) {
+  for (const handle of String(result.winners || "").match(/@sim-player-\d+/g) || []) {
+    repeatWinners.set(handle, (repeatWinners.get(handle) || 0) + 1);
+  }
+}
+const multiple = [...repeatWinners.entries()].filter(([, wins]) => wins > 1);
+console.log(`Repeat winners: ${multiple.length ? multiple.map(([handle, wins]) => `${handle} x${wins}`).join(", ") : "none"}`);
+
+const problems = results.filter((result) => result.proof === "MISMATCH" || result.secondOpen === "OPENED");
+process.exit(problems.length ? 2 : 0);
@@ -0,0 +1,33 @@
+import fs from "fs";
+import fetch from "node-fetch";
+import { verifyRoundProof } from "../lib/fairness.js";
+
+// Usage: npm run verify-round -- <proof URL or JSON file>
+const source = process.argv[2];
+
+if (!source) {
+  console.error("Usage: npm run verify-round -- <proof URL or JSON file>");
+  process.exit(1);
+}
+
+const body = /^https?:\/\//.test(source)
+  ? await (await fetch(source)).json()
+  : JSON.parse(fs.readFileSync(source, "utf8"));
+const proof = body.proof || body;
+
+if (!proof.seed) {
+  console.error(`Round ${proof.roundId} has not been revealed yet.`);
+  process.exit(1);
+}
+
+const result = verifyRoundProof(proof);
+
+console.log(`Round:            ${proof.roundId}`);
+console.log(`Entries:          ${(proof.entries || []).length}`);
+console.log(`Seed commitment:  ${result.seedMatchesCommitment ? "ok" : "MISMATCH"}`);
+console.log(`Entries hash:     ${result.entriesHashMatches ? "ok" : "MISMATCH"}`);
+console.log(
+  `Winner claims:    ${result.expectedWinnerClaimIds.join(", ") || "none"} (${result.winnerMatches ? "ok" : "MISMATCH"})`
+);
+
+process.exit(result.valid ? 0 : 2);
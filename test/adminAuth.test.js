@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+  hashPassword,
+  parseCookies,
+  roleHasPermission,
+  safeEqual,
+  validateAdminPassword,
+  validateAdminUsername,
+  verifyPassword
+} from "../lib/adminAuth.js";
+
+test("passwords verify against their own hash only", async () => {
+  const stored = await hashPassword("correct horse battery");
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.equal(await verifyPassword("correct horse battery", stored), true);
+  assert.equal(await verifyPassword("correct horse battery!", stored), false);
+  assert.equal(await verifyPassword("anything", "plain-text"), false);
+});
+
+test("cookies are decoded and undecodable ones are skipped", () => {
+  assert.deepEqual(parseCookies("admin_session=abc%2Bdef; theme=dark; bad=%E0%A4%A; =empty; flag"), {
+    admin_session: "abc+def",
+    theme: "dark"
+  });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test("moderators only get chat", () => {
+  assert.equal(roleHasPermission("moderator", "chat"), true);
+  assert.equal(roleHasPermission("moderator", "payouts"), false);
+  assert.equal(roleHasPermission("operator", "payouts"), true);
+  assert.equal(roleHasPermission("nobody", "chat"), false);
+});
+
+test("safeEqual compares whole values", () => {
+  assert.equal(safeEqual("token", "token"), true);
+  assert.equal(safeEqual("token", "token2"), false);
+});
+
+test("usernames and passwords are validated", () => {
+  assert.equal(validateAdminUsername("oper.ator"), true);
+  assert.equal(validateAdminUsername("No Spaces"), false);
+  assert.equal(validateAdminPassword("short"), false);
+  assert.equal(validateAdminPassword("long enough password"), true);
+});
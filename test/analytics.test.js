@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { listDayKeys, shiftDayKey, summarizeAnalytics } from "../lib/analytics.js";
+
+const getDayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+const at = (isoTime) => Date.parse(isoTime);
+
+test("day keys are listed inclusively and shift across month ends", () => {
+  assert.deepEqual(listDayKeys("2026-02-27", "2026-03-02"), ["2026-02-27", "2026-02-28", "2026-03-01", "2026-03-02"]);
+  assert.equal(shiftDayKey("2026-03-01", -1), "2026-02-28");
+});
+
+test("entrants are split into new and returning and arrivals are bucketed", () => {
+  const openedAt = at("2026-03-02T19:00:00Z");
+  const claims = [
+    { payout_method: "Venmo", payout_id: "@old", ip_address: "a", created_at: openedAt + 5000, opened_at: openedAt },
+    { payout_method: "Venmo", payout_id: "@new", ip_address: "b", created_at: openedAt + 25000, opened_at: openedAt },
+    { payout_method: "PayPal", payout_id: null, ip_address: "b", created_at: openedAt + 45000, opened_at: openedAt }
+  ];
+  const firstSeenAt = new Map([
+    ["Venmo:@old", at("2026-03-01T19:00:05Z")],
+    ["Venmo:@new", openedAt + 25000]
+  ]);
+
+  const summary = summarizeAnalytics({
+    dayKeys: ["2026-03-01", "2026-03-02"],
+    claims,
+    firstSeenAt,
+    chatMessages: [{ created_at: openedAt - 4 * 60000 }, { created_at: openedAt + 40 * 60000 }],
+    drawStartByDay: new Map([["2026-03-02", openedAt]]),
+    getDayKey
+  });
+
+  const day = summary.days[1];
+  assert.deepEqual(
+    { entrants: day.entrants, uniqueIps: day.uniqueIps, newEntrants: day.newEntrants, returning: day.returningEntrants },
+    { entrants: 3, uniqueIps: 2, newEntrants: 1, returning: 1 }
+  );
+  assert.equal(day.medianArrivalSeconds, 25);
+  assert.deepEqual(day.methods, { Venmo: 2, PayPal: 1 });
+  assert.equal(day.chatMessagesNearDraw, 1);
+  assert.deepEqual(summary.arrival.buckets.map((bucket) => bucket.count), [1, 0, 1, 0, 1]);
+  assert.equal(summary.chatAroundDraw.buckets.find((bucket) => bucket.offsetMinutes === -5).count, 1);
+  assert.equal(summary.days[0].entrants, 0);
+});
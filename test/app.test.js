@@ -0,0 +1,277 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import sqlite3 from "sqlite3";
+import * as sqlite from "sqlite";
+import { hashPassword } from "../lib/adminAuth.js";
+import { createManualClock } from "../lib/clock.js";
+import { verifyRoundProof } from "../lib/fairness.js";
+
+process.env.CAPTCHA_PROVIDER = "local";
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.PAYOUT_PROVIDER = "local";
+process.env.OPERATOR_SMS_NUMBERS = "";
+delete process.env.NOTIFY_TRANSPORT;
+delete process.env.FRAUD_EXCLUDE_FLAGGED;
+
+const { createApp } = await import("../lib/app.js");
+
+const originalLog = console.log;
+test.before(() => {
+  console.log = () => {};
+});
+test.after(() => {
+  console.log = originalLog;
+});
+
+// Starts a game on a manual clock and an in-memory database with one operator
+// logged in. Everything is torn down when the calling test ends.
+async function startGame(t) {
+  const clock = createManualClock(Date.UTC(2026, 2, 2, 12));
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "game-test-"));
+  const database = await sqlite.open({ filename: ":memory:", driver: sqlite3.Database });
+  const game = await createApp({ clock, database, dataDir });
+  const server = game.app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  t.after(async () => {
+    server.close();
+    await database.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  await database.run("INSERT INTO admin_users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)", [
+    "oper",
+    await hashPassword("operator password"),
+    "operator",
+    clock.now()
+  ]);
+  const login = await fetch(`${baseUrl}/admin/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username: "oper", password: "operator password" })
+  });
+  const { csrfToken } = await login.json();
+  const cookie = login.headers.get("set-cookie").split(";")[0];
+
+  async function request(method, url, { body, ip = "192.0.2.200", admin = false } = {}) {
+    const resp = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Forwarded-For": ip,
+        ...(admin ? { Cookie: cookie, "X-CSRF-Token": csrfToken } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: resp.status, body: await resp.json() };
+  }
+
+  async function openRound(prizes = "20") {
+    const opened = await request("POST", "/admin/open?seconds=60", { admin: true, body: { prizes } });
+    assert.equal(opened.status, 200, opened.body.msg);
+    return game.db.get("SELECT * FROM rounds WHERE id = ?", [opened.body.roundId]);
+  }
+
+  function enter(index, { handle = `@player-${index}`, captcha = "pass" } = {}) {
+    return request("POST", "/claim", {
+      ip: `198.51.${index}.10`,
+      body: { payout_method: "Venmo", payout_id: handle, captcha }
+    });
+  }
+
+  return { game, clock, dataDir, request, openRound, enter };
+}
+
+test("a round with several prizes draws distinct winners with a valid proof", async (t) => {
+  const { game, clock, request, openRound, enter } = await startGame(t);
+  const round = await openRound("20,10");
+  for (let index = 1; index <= 4; index += 1) {
+    assert.equal((await enter(index)).status, 200);
+  }
+
+  await clock.advanceTo(round.expires_at);
+
+  const closed = await game.db.get("SELECT status, closed_at FROM rounds WHERE id = ?", [round.id]);
+  assert.equal(closed.status, "closed");
+  const winners = await game.db.all("SELECT claim_id, place, prize_amount_cents FROM past_winners WHERE round_id = ?", [
+    round.id
+  ]);
+  assert.deepEqual(
+    winners.map((winner) => [winner.place, winner.prize_amount_cents]),
+    [
+      [1, 2000],
+      [2, 1000]
+    ]
+  );
+  const flagged = await game.db.all("SELECT id FROM claims WHERE round_id = ? AND is_winner = 1 ORDER BY id", [round.id]);
+  assert.deepEqual(
+    flagged.map((claim) => claim.id),
+    winners.map((winner) => winner.claim_id).sort((a, b) => a - b)
+  );
+
+  const { body } = await request("GET", `/rounds/${round.id}/proof`);
+  assert.equal(verifyRoundProof(body.proof).valid, true);
+  assert.deepEqual(body.proof.winnerClaimIds, winners.map((winner) => winner.claim_id));
+});
+
+test("a draw that fails part way leaves the round open and undrawn", async (t) => {
+  const { game, clock, openRound, enter } = await startGame(t);
+  const round = await openRound();
+  await enter(1);
+  await enter(2);
+
+  await game.db.exec(`
+    CREATE TEMP TRIGGER fail_winner_update BEFORE UPDATE OF is_winner ON claims
+    BEGIN
+      SELECT RAISE(ABORT, 'simulated crash');
+    END;
+  `);
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await clock.advanceTo(round.expires_at);
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal((await game.db.get("SELECT status FROM rounds WHERE id = ?", [round.id])).status, "open");
+  assert.equal((await game.db.get("SELECT COUNT(*) AS total FROM past_winners")).total, 0);
+  assert.equal((await game.db.get("SELECT COUNT(*) AS total FROM claims WHERE is_winner = 1")).total, 0);
+});
+
+test("entries after the window ends are refused", async (t) => {
+  const { clock, openRound, enter } = await startGame(t);
+  const round = await openRound();
+  await clock.advanceTo(round.expires_at);
+  const late = await enter(1);
+  assert.equal(late.status, 400);
+  assert.equal(late.body.msg, "Window closed");
+});
+
+test("a captcha outage answers 503 and records no entry", async (t) => {
+  const { game, openRound, enter } = await startGame(t);
+  await openRound();
+
+  const originalError = console.error;
+  console.error = () => {};
+  let outage;
+  try {
+    outage = await enter(1, { captcha: "outage" });
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(outage.status, 503);
+  assert.equal(outage.body.ok, false);
+  assert.equal((await enter(2, { captcha: "fail" })).status, 400);
+  assert.equal((await game.db.get("SELECT COUNT(*) AS total FROM claims")).total, 0);
+});
+
+test("only later entries with a repeated handle are scored as duplicates", async (t) => {
+  const { game, clock, openRound, enter } = await startGame(t);
+  const round = await openRound();
+  const first = await enter(1, { handle: "@target" });
+  const copy = await enter(2, { handle: "@target" });
+
+  await clock.advanceTo(round.expires_at);
+
+  const scores = await game.db.all("SELECT id, fraud_score, fraud_excluded FROM claims ORDER BY id");
+  assert.deepEqual(
+    scores.map((claim) => [claim.id, claim.fraud_score, claim.fraud_excluded]),
+    [
+      [first.body.claimId, 0, 0],
+      [copy.body.claimId, 30, 0]
+    ]
+  );
+});
+
+test("payouts are claimed once, held as unknown when unanswered and retried with the same batch", async (t) => {
+  const { game, clock, dataDir, request, openRound, enter } = await startGame(t);
+  const round = await openRound("20,10,5");
+  for (let index = 1; index <= 3; index += 1) {
+    await enter(index);
+  }
+  await clock.advanceTo(round.expires_at);
+  const [first, second, third] = await game.db.all("SELECT id FROM past_winners ORDER BY place");
+
+  const racing = await Promise.all([
+    request("POST", `/admin/winners/${first.id}/pay`, { admin: true, body: {} }),
+    request("POST", `/admin/winners/${first.id}/pay`, { admin: true, body: {} })
+  ]);
+  assert.deepEqual(racing.map((result) => result.status).sort(), [200, 409]);
+  const paid = racing.find((result) => result.status === 200).body.winner;
+  assert.equal(paid.payout_status, "sent");
+  assert.equal(paid.payout_reference, `local-winner-${first.id}-1`);
+  assert.equal((await request("POST", `/admin/winners/${first.id}/pay`, { admin: true, body: {} })).status, 409);
+
+  // A directory where the sandbox file belongs makes the provider throw, as a
+  // timed-out provider call would.
+  const sandboxPath = path.join(dataDir, "payouts-sandbox.jsonl");
+  fs.renameSync(sandboxPath, `${sandboxPath}.bak`);
+  fs.mkdirSync(sandboxPath);
+  const originalError = console.error;
+  console.error = () => {};
+  let unanswered;
+  try {
+    unanswered = await request("POST", `/admin/winners/${second.id}/pay`, { admin: true, body: {} });
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(unanswered.body.ok, false);
+  assert.equal(unanswered.body.winner.payout_status, "unknown");
+  assert.match(unanswered.body.msg, /may or may not have gone through/);
+
+  fs.rmdirSync(sandboxPath);
+  fs.renameSync(`${sandboxPath}.bak`, sandboxPath);
+  const retried = await request("POST", `/admin/winners/${second.id}/pay`, { admin: true, body: {} });
+  assert.equal(retried.body.winner.payout_status, "sent");
+  assert.equal(retried.body.winner.payout_reference, `local-winner-${second.id}-1`);
+
+  await game.db.run("UPDATE past_winners SET payout_status = 'sending', payout_updated_at = ? WHERE id = ?", [
+    clock.now(),
+    third.id
+  ]);
+  assert.equal((await request("POST", `/admin/winners/${third.id}/pay`, { admin: true, body: {} })).status, 409);
+  assert.equal(
+    (await request("POST", `/admin/winners/${third.id}/payout`, { admin: true, body: { status: "sent" } })).status,
+    409
+  );
+  await clock.advance(11 * 60 * 1000);
+  await game.runHourlyMaintenance();
+  const released = await game.db.get("SELECT payout_status FROM past_winners WHERE id = ?", [third.id]);
+  assert.equal(released.payout_status, "unknown");
+});
+
+test("only the browser holding the claim token can change how a win is shown", async (t) => {
+  const { clock, request, openRound, enter } = await startGame(t);
+  const round = await openRound();
+  const { body: claim } = await enter(1);
+  await clock.advanceTo(round.expires_at);
+
+  const url = `/claims/${claim.claimId}/public-handle`;
+  assert.equal((await request("POST", url, { body: { show: true } })).status, 404);
+  assert.equal((await request("POST", url, { body: { show: true, claimToken: "guess" } })).status, 404);
+
+  const shown = await request("POST", url, { body: { show: true, claimToken: claim.claimToken } });
+  assert.equal(shown.status, 200);
+  assert.equal(shown.body.showFullHandle, true);
+  assert.equal((await request("GET", `/claim-result/${claim.claimId}`)).body.showFullHandle, true);
+});
+
+test("data requests are verified by hand when no SMS transport is configured", async (t) => {
+  const { openRound, request } = await startGame(t);
+  await openRound();
+  await request("POST", "/claim", {
+    ip: "198.51.100.7",
+    body: { payout_method: "PayPal", payout_id: "+15555550123", captcha: "pass" }
+  });
+
+  for (const handle of ["+15555550123", "+15555550199"]) {
+    const created = await request("POST", "/privacy/requests", {
+      body: { type: "export", payout_method: "PayPal", payout_id: handle }
+    });
+    assert.equal(created.status, 200);
+    assert.match(created.body.msg, /Our team will contact you/);
+  }
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createCaptchaVerifier } from "../lib/captcha/index.js";
+
+function createVerifier(name, respond, options = {}) {
+  return createCaptchaVerifier(name, {
+    secret: "test-secret",
+    siteKey: "test-site-key",
+    hostnames: ["game.example"],
+    fetchImpl: async () => respond(),
+    ...options
+  });
+}
+
+function jsonResponse(data, status = 200) {
+  return { ok: status < 400, status, json: async () => data };
+}
+
+test("a solved challenge from an allowed host passes", async () => {
+  const verifier = createVerifier("turnstile", () => jsonResponse({ success: true, hostname: "game.example" }));
+  assert.equal((await verifier.verify({ token: "t" })).status, "passed");
+});
+
+test("an unsolved challenge or another host fails", async () => {
+  const unsolved = createVerifier("hcaptcha", () => jsonResponse({ success: false, "error-codes": ["invalid-input-response"] }));
+  assert.equal((await unsolved.verify({ token: "t" })).status, "failed");
+
+  const otherHost = createVerifier("turnstile", () => jsonResponse({ success: true, hostname: "evil.example" }));
+  assert.deepEqual(await otherHost.verify({ token: "t" }), {
+    score: null,
+    hostname: "evil.example",
+    status: "failed",
+    reason: "hostname-mismatch"
+  });
+});
+
+test("reCAPTCHA v3 needs a score at or above the minimum", async () => {
+  const low = createVerifier("recaptcha-v3", () =>
+    jsonResponse({ success: true, hostname: "game.example", action: "claim", score: 0.2 })
+  );
+  assert.equal((await low.verify({ token: "t" })).reason, "low-score");
+
+  const missing = createVerifier("recaptcha-v3", () => jsonResponse({ success: true, hostname: "game.example" }));
+  assert.equal((await missing.verify({ token: "t" })).reason, "missing-score");
+});
+
+test("network errors, HTTP errors and bad keys count as an outage", async () => {
+  const down = createVerifier("turnstile", () => {
+    throw new Error("connect ECONNREFUSED");
+  });
+  assert.equal((await down.verify({ token: "t" })).status, "unavailable");
+
+  const erroring = createVerifier("turnstile", () => jsonResponse({}, 502));
+  assert.equal((await erroring.verify({ token: "t" })).status, "unavailable");
+
+  const badKeys = createVerifier("hcaptcha", () => jsonResponse({ success: false, "error-codes": ["invalid-input-secret"] }));
+  assert.equal((await badKeys.verify({ token: "t" })).status, "unavailable");
+});
+
+test("a slow verifier times out as an outage", async () => {
+  const slow = createCaptchaVerifier("turnstile", {
+    secret: "test-secret",
+    siteKey: "test-site-key",
+    timeoutMs: 20,
+    fetchImpl: (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })));
+      })
+  });
+  assert.deepEqual(await slow.verify({ token: "t" }), { status: "unavailable", reason: "timeout" });
+});
+
+test("the local verifier refuses to run in production", () => {
+  assert.throws(() => createCaptchaVerifier("local", { production: true }));
+  assert.throws(() => createCaptchaVerifier("nope"), /Unknown captcha provider/);
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createManualClock } from "../lib/clock.js";
+
+test("the manual clock runs due timers in order and waits for them", async () => {
+  const clock = createManualClock(1000);
+  const calls = [];
+
+  clock.setTimeout(() => calls.push(`b@${clock.now()}`), 200);
+  clock.setTimeout(async () => {
+    await Promise.resolve();
+    calls.push(`a@${clock.now()}`);
+  }, 100);
+  const cancelled = clock.setTimeout(() => calls.push("cancelled"), 150);
+  clock.clearTimeout(cancelled);
+
+  await clock.advanceTo(1150);
+  assert.deepEqual(calls, ["a@1100"]);
+  assert.equal(clock.now(), 1150);
+
+  await clock.advance(1000);
+  assert.deepEqual(calls, ["a@1100", "b@1200"]);
+  assert.equal(clock.pendingTimers(), 0);
+});
+
+test("intervals repeat until cleared and timers set while advancing still run", async () => {
+  const clock = createManualClock(0);
+  const ticks = [];
+  const interval = clock.setInterval(() => {
+    ticks.push(clock.now());
+    if (ticks.length === 2) {
+      clock.setTimeout(() => ticks.push(`timeout@${clock.now()}`), 5);
+    }
+  }, 10);
+
+  await clock.advanceTo(35);
+  assert.deepEqual(ticks, [10, 20, "timeout@25", 30]);
+
+  clock.clearInterval(interval);
+  await clock.advance(100);
+  assert.equal(ticks.length, 4);
+});
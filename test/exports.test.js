@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { Writable } from "node:stream";
+import test from "node:test";
+import { streamExport, toCsvRow } from "../lib/exports.js";
+
+// Collects what streamExport writes, with the header calls an Express
+// response would take.
+function createResponse() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    }
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.body = () => chunks.join("");
+  return res;
+}
+
+test("CSV cells are quoted when they hold separators or quotes", () => {
+  assert.equal(toCsvRow(["plain", "a,b", 'say "hi"', null, 5]), 'plain,"a,b","say ""hi""",,5\r\n');
+});
+
+test("formula cells are neutralised but plain handles are left alone", () => {
+  assert.equal(toCsvRow(["=HYPERLINK(\"x\")"]), "\"'=HYPERLINK(\"\"x\"\")\"\r\n");
+  assert.equal(toCsvRow(["@jane-doe", "+15551234567", "-5.00"]), "@jane-doe,+15551234567,-5.00\r\n");
+  assert.equal(toCsvRow(["@SUM(A1:A9)", "+cmd|' /C calc'!A0"]), "'@SUM(A1:A9),'+cmd|' /C calc'!A0\r\n");
+});
+
+test("pages are streamed until one comes back empty", async () => {
+  const pages = [[{ id: 1, name: "a" }, { id: 2, name: "b" }], [{ id: 3, name: "c" }], []];
+  const cursors = [];
+  const columns = [
+    ["id", (row) => row.id],
+    ["name", (row) => row.name]
+  ];
+  const fetchPage = async (cursor) => {
+    cursors.push(cursor);
+    const rows = pages.shift();
+    return { rows, cursor: rows.at(-1)?.id ?? cursor };
+  };
+
+  const csv = createResponse();
+  await streamExport(csv, { format: "csv", filename: "ledger", columns, fetchPage });
+  assert.equal(csv.body(), "id,name\r\n1,a\r\n2,b\r\n3,c\r\n");
+  assert.equal(csv.headers["Content-Disposition"], 'attachment; filename="ledger.csv"');
+  assert.deepEqual(cursors, [null, 2, 3]);
+
+  const json = createResponse();
+  await streamExport(json, { format: "json", filename: "ledger", columns, fetchPage: async () => ({ rows: [] }) });
+  assert.deepEqual(JSON.parse(json.body()), []);
+});
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import {
+  createServerSeed,
+  hashEntries,
+  hashSeed,
+  pickWinnerEntryId,
+  pickWinnerEntryIds,
+  verifyRoundProof
+} from "../lib/fairness.js";
+
+function buildProof({ entries = [4, 9, 12, 15, 21], winnerCount = 1 } = {}) {
+  const seed = createServerSeed();
+  const roundId = "round-test";
+  const winnerClaimIds = pickWinnerEntryIds(seed, roundId, entries, winnerCount);
+  return {
+    roundId,
+    seed,
+    seedHash: hashSeed(seed),
+    entries,
+    entriesHash: hashEntries(entries),
+    winnerCount,
+    winnerClaimIds,
+    winnerClaimId: winnerClaimIds[0] ?? null
+  };
+}
+
+test("a published proof verifies", () => {
+  const result = verifyRoundProof(buildProof());
+  assert.equal(result.valid, true);
+  assert.equal(result.seedMatchesCommitment, true);
+  assert.equal(result.entriesHashMatches, true);
+  assert.equal(result.winnerMatches, true);
+});
+
+test("entry order does not change the entries hash or the winner", () => {
+  const seed = createServerSeed();
+  assert.equal(hashEntries([3, 1, 2]), hashEntries([1, 2, 3]));
+  assert.equal(pickWinnerEntryId(seed, "r", [3, 1, 2]), pickWinnerEntryId(seed, "r", [1, 2, 3]));
+});
+
+test("a swapped seed, entry list or winner fails verification", () => {
+  const proof = buildProof();
+  const otherWinner = proof.entries.find((id) => id !== proof.winnerClaimId);
+
+  assert.equal(verifyRoundProof({ ...proof, seed: createServerSeed() }).seedMatchesCommitment, false);
+  assert.equal(verifyRoundProof({ ...proof, entries: [...proof.entries, 30] }).entriesHashMatches, false);
+  assert.equal(verifyRoundProof({ ...proof, winnerClaimIds: [otherWinner] }).winnerMatches, false);
+});
+
+test("an unrevealed seed is not valid", () => {
+  const result = verifyRoundProof({ ...buildProof(), seed: null });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.expectedWinnerClaimIds, []);
+});
+
+test("proofs with only winnerClaimId still verify", () => {
+  const { winnerClaimIds, winnerCount, ...proof } = buildProof();
+  assert.equal(verifyRoundProof(proof).valid, true);
+});
+
+test("several places pick distinct entries and first place matches a single draw", () => {
+  const seed = createServerSeed();
+  const entries = [2, 5, 7, 11, 13, 17];
+  const winners = pickWinnerEntryIds(seed, "round-places", entries, 3);
+
+  assert.equal(winners.length, 3);
+  assert.equal(new Set(winners).size, 3);
+  assert.equal(winners[0], pickWinnerEntryId(seed, "round-places", entries));
+});
+
+test("places stop when the entries run out", () => {
+  assert.deepEqual(pickWinnerEntryIds(createServerSeed(), "round-small", [8, 3], 5).sort(), [3, 8]);
+});
+
+test("a multi-winner proof verifies and a reordered winner list does not", () => {
+  const proof = buildProof({ winnerCount: 3 });
+  assert.equal(verifyRoundProof(proof).valid, true);
+  assert.deepEqual(verifyRoundProof(proof).expectedWinnerClaimIds, proof.winnerClaimIds);
+
+  const reordered = [...proof.winnerClaimIds].reverse();
+  assert.equal(verifyRoundProof({ ...proof, winnerClaimIds: reordered }).winnerMatches, false);
+});
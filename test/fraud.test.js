@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { FRAUD_FLAGS, getIpSubnet, scoreFraudSignals } from "../lib/fraud.js";
+
+const THRESHOLDS = { lookbackDays: 30, handleIpCount: 3, subnetBurstCount: 4, subnetBurstSeconds: 30 };
+const EXCLUDE_SCORE = 60;
+const CLEAN_SIGNALS = {
+  earlierSameHandleInRound: 0,
+  handleIpCount: 1,
+  subnet: "10.0.0.0/24",
+  subnetBurstCount: 1,
+  recentWins: 0
+};
+
+test("IPv4 addresses group by /24 and IPv6 by /64", () => {
+  assert.equal(getIpSubnet("203.0.113.77"), "203.0.113.0/24");
+  assert.equal(getIpSubnet("2001:db8:0:12::1"), "2001:db8:0:12::/64");
+  assert.equal(getIpSubnet("2001:DB8::1"), "2001:db8:0:0::/64");
+  assert.equal(getIpSubnet("not an ip"), null);
+});
+
+test("a clean claim scores zero", () => {
+  assert.deepEqual(scoreFraudSignals(CLEAN_SIGNALS, THRESHOLDS), { score: 0, flags: [] });
+});
+
+test("the first claim for a handle is not flagged as a duplicate", () => {
+  const { flags } = scoreFraudSignals(CLEAN_SIGNALS, THRESHOLDS);
+  assert.equal(flags.some((flag) => flag.flag === "duplicate_payout_id"), false);
+});
+
+test("a later duplicate alone stays below the exclusion score", () => {
+  const { score, flags } = scoreFraudSignals({ ...CLEAN_SIGNALS, earlierSameHandleInRound: 1 }, THRESHOLDS);
+  assert.deepEqual(flags.map((flag) => flag.flag), ["duplicate_payout_id"]);
+  assert.ok(score < EXCLUDE_SCORE, `score ${score}`);
+});
+
+test("signals add up and thresholds are inclusive", () => {
+  const { score, flags } = scoreFraudSignals(
+    { ...CLEAN_SIGNALS, earlierSameHandleInRound: 1, handleIpCount: 3, subnetBurstCount: 4, recentWins: 1 },
+    THRESHOLDS
+  );
+  assert.equal(flags.length, 4);
+  assert.equal(score, Object.values(FRAUD_FLAGS).reduce((total, flag) => total + flag.weight, 0));
+  assert.ok(score >= EXCLUDE_SCORE);
+});
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { createPayoutProvider } from "../lib/payouts/index.js";
+
+function createSandbox(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payouts-test-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "payouts-sandbox.jsonl");
+  const provider = createPayoutProvider("local", { filePath, now: () => 1234, ...options });
+  return { provider, readEntries: () => fs.readFileSync(filePath, "utf8").trim().split("\n").map(JSON.parse) };
+}
+
+const PAYOUT = { winnerId: 3, method: "Venmo", recipient: "@jane", amountCents: 2000, currency: "USD", note: "Congrats" };
+
+function webhookRequest(body, secret) {
+  return { body, get: (name) => (name.toLowerCase() === "x-sandbox-webhook-secret" ? secret : undefined) };
+}
+
+test("sending the same batch twice records one payout", async () => {
+  const { provider, readEntries } = createSandbox();
+
+  const first = await provider.send({ ...PAYOUT, batchId: "winner-3-1" });
+  const again = await provider.send({ ...PAYOUT, batchId: "winner-3-1" });
+  const retry = await provider.send({ ...PAYOUT, batchId: "winner-3-2" });
+
+  assert.equal(first.reference, "local-winner-3-1");
+  assert.equal(again.reference, first.reference);
+  assert.equal(again.detail, "Local sandbox already has this batch");
+  assert.equal(retry.reference, "local-winner-3-2");
+  assert.deepEqual(readEntries().map((entry) => entry.reference), ["local-winner-3-1", "local-winner-3-2"]);
+  assert.equal(readEntries()[0].recordedAt, 1234);
+});
+
+test("the forced outcome is reported and checkStatus reads it back", async () => {
+  const { provider } = createSandbox({ outcome: "failed" });
+  const result = await provider.send({ ...PAYOUT, batchId: "winner-3-1" });
+  assert.equal(result.status, "failed");
+  assert.equal((await provider.checkStatus(result.reference)).status, "failed");
+  await assert.rejects(provider.checkStatus("local-missing"), /Unknown local payout reference/);
+});
+
+test("the webhook needs the shared secret", async () => {
+  const { provider } = createSandbox({ outcome: "pending", webhookSecret: "s3cret" });
+  const { reference } = await provider.send({ ...PAYOUT, batchId: "winner-3-1" });
+
+  await assert.rejects(provider.parseWebhook(webhookRequest({ reference, status: "sent" })), /secret does not match/);
+  await assert.rejects(provider.parseWebhook(webhookRequest({ reference, status: "sent" }, "guess")), /secret/);
+  assert.deepEqual(await provider.parseWebhook(webhookRequest({ reference, status: "sent" }, "s3cret")), [
+    { reference, status: "sent", providerStatus: "SENT", detail: null }
+  ]);
+  assert.equal((await provider.checkStatus(reference)).status, "sent");
+});
+
+test("the webhook is refused when no secret is configured", async () => {
+  const { provider } = createSandbox({ outcome: "pending" });
+  const { reference } = await provider.send({ ...PAYOUT, batchId: "winner-3-1" });
+  await assert.rejects(provider.parseWebhook(webhookRequest({ reference, status: "sent" }, "")), /not set/);
+});
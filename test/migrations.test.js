@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import sqlite3 from "sqlite3";
+import * as sqlite from "sqlite";
+import { getMigrationStatus, loadMigrations, runMigrations } from "../lib/migrations/index.js";
+
+const quiet = { now: () => 1767225600000, log: () => {} };
+
+async function openDatabase(t) {
+  const db = await sqlite.open({ filename: ":memory:", driver: sqlite3.Database });
+  t.after(() => db.close());
+  return db;
+}
+
+// The tables the first release created, with a winner from before rounds and
+// past_winners rows existed.
+async function createBaselineDatabase(t) {
+  const db = await openDatabase(t);
+  await db.exec(`
+    CREATE TABLE claims (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      payout_method TEXT,
+      payout_id TEXT,
+      created_at INTEGER,
+      is_winner INTEGER DEFAULT 0,
+      round_id TEXT,
+      ip_address TEXT
+    );
+    CREATE UNIQUE INDEX idx_claims_round_ip ON claims(round_id, ip_address);
+    CREATE TABLE past_winners (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      round_id TEXT NOT NULL UNIQUE,
+      claim_id INTEGER NOT NULL UNIQUE,
+      payout_method TEXT NOT NULL,
+      payout_id TEXT NOT NULL,
+      claim_created_at INTEGER NOT NULL,
+      selected_at INTEGER NOT NULL,
+      FOREIGN KEY (claim_id) REFERENCES claims(id)
+    );
+    CREATE TABLE chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nickname TEXT NOT NULL,
+      message TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      ip_address TEXT NOT NULL,
+      sender_role TEXT DEFAULT 'player'
+    );
+  `);
+  await db.run(
+    "INSERT INTO claims (payout_method, payout_id, created_at, is_winner, ip_address) VALUES ('venmo', '@Jane-Doe', 1700000000000, 1, '203.0.113.9')"
+  );
+  await db.run(
+    "INSERT INTO claims (payout_method, payout_id, created_at, is_winner, round_id, ip_address) VALUES ('Cash App', '$Bob', 1700000005000, 0, '1700000000000', '203.0.113.10')"
+  );
+  await db.run(
+    "INSERT INTO chat_messages (nickname, message, created_at, ip_address, sender_role) VALUES ('jane', 'hi', 1700000001000, '203.0.113.9', NULL)"
+  );
+  return db;
+}
+
+async function getColumns(db, tableName) {
+  return (await db.all(`PRAGMA table_info(${tableName})`)).map((column) => column.name);
+}
+
+test("a baseline database is upgraded and keeps its data", async (t) => {
+  const db = await createBaselineDatabase(t);
+  const ran = await runMigrations(db, quiet);
+  assert.deepEqual(
+    ran.map((migration) => migration.version),
+    (await loadMigrations()).map((migration) => migration.version)
+  );
+
+  const winner = await db.get("SELECT round_id, claim_id, place, payout_method, payout_id, payout_status FROM past_winners");
+  assert.deepEqual(winner, {
+    round_id: "1700000000000",
+    claim_id: 1,
+    place: 1,
+    payout_method: "Venmo",
+    payout_id: "@jane-doe",
+    payout_status: "pending"
+  });
+  assert.deepEqual(await db.get("SELECT status, opened_at FROM rounds WHERE id = '1700000000000'"), {
+    status: "closed",
+    opened_at: 1700000000000
+  });
+  assert.deepEqual(await db.get("SELECT payout_method, payout_id, ip_subnet FROM claims WHERE id = 2"), {
+    payout_method: "CashApp",
+    payout_id: "$bob",
+    ip_subnet: "203.0.113.0/24"
+  });
+  assert.equal((await db.get("SELECT nickname FROM chat_messages")).nickname, "potential winner");
+
+  assert.ok((await getColumns(db, "claims")).includes("claim_token_hash"));
+  assert.ok((await getColumns(db, "past_winners")).includes("payout_attempt"));
+
+  // The rebuilt past_winners takes a second place for the same round.
+  await db.run(
+    "INSERT INTO past_winners (round_id, claim_id, payout_method, payout_id, claim_created_at, selected_at, place) VALUES ('1700000000000', 2, 'CashApp', '$bob', 1700000005000, 1700000005000, 2)"
+  );
+});
+
+test("running the migrations again changes nothing", async (t) => {
+  const db = await createBaselineDatabase(t);
+  await runMigrations(db, quiet);
+  const schemaBefore = await db.all("SELECT name, sql FROM sqlite_master ORDER BY name");
+  const winnersBefore = await db.all("SELECT * FROM past_winners");
+
+  assert.deepEqual(await runMigrations(db, quiet), []);
+  assert.deepEqual(await db.all("SELECT name, sql FROM sqlite_master ORDER BY name"), schemaBefore);
+  assert.deepEqual(await db.all("SELECT * FROM past_winners"), winnersBefore);
+});
+
+test("a fresh database gets the whole schema", async (t) => {
+  const db = await openDatabase(t);
+  await runMigrations(db, quiet);
+  for (const tableName of ["claims", "past_winners", "rounds", "admin_users", "settings", "data_requests"]) {
+    assert.ok((await getColumns(db, tableName)).length, tableName);
+  }
+});
+
+test("status lists pending migrations and versions this code does not know", async (t) => {
+  const db = await openDatabase(t);
+  const before = await getMigrationStatus(db);
+  assert.ok(before.migrations.every((migration) => migration.appliedAt === null));
+  assert.equal((await db.get("SELECT name FROM sqlite_master WHERE name = 'schema_migrations'")) ?? null, null);
+
+  await runMigrations(db, quiet);
+  await db.run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (999, 'from_the_future', 1)");
+  const after = await getMigrationStatus(db);
+  assert.ok(after.migrations.every((migration) => migration.appliedAt === quiet.now()));
+  assert.deepEqual(after.unknown, [{ version: 999, name: "from_the_future", appliedAt: 1 }]);
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createNotificationTransport, createNotifier } from "../lib/notifications/index.js";
+
+test("notifications are rendered and sent to every recipient", async () => {
+  const transport = createNotificationTransport("console", { silent: true });
+  const notifier = createNotifier({ transport, recipients: ["+15550000001", "+15550000002"] });
+
+  await notifier.notify("winnerSelected", { roundId: "r1", claimIds: [4, 7], totalPlayers: 12 });
+  assert.deepEqual(transport.sent.map((message) => message.to), ["+15550000001", "+15550000002"]);
+  assert.match(transport.sent[0].body, /2 winners selected for round r1 \(claims 4, 7, 12 players\)/);
+});
+
+test("a failing transport does not fail the caller", async () => {
+  const notifier = createNotifier({
+    transport: {
+      name: "broken",
+      send: async () => {
+        throw new Error("gateway down");
+      }
+    },
+    recipients: ["+15550000001"]
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await notifier.notify("roundClosedEmpty", { roundId: "r2" });
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("unknown events and transports are rejected", async () => {
+  const notifier = createNotifier({ transport: createNotificationTransport("console", { silent: true }) });
+  await assert.rejects(notifier.notify("nope"), /Unknown notification event/);
+  assert.throws(() => createNotificationTransport("pigeon"), /Unknown notification transport/);
+  assert.throws(() => createNotificationTransport("twilio", {}), /TWILIO_ACCOUNT_SID/);
+});
+
+test("only real SMS transports claim to reach phones", () => {
+  assert.equal(createNotificationTransport("console", { silent: true }).reachesPhones, false);
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { maskPayoutHandle, normalizePayoutHandle } from "../lib/payouts/methods.js";
+
+test("every spelling of a handle normalizes to one value", () => {
+  assert.equal(normalizePayoutHandle("venmo", " @Jane-Doe ").handle, "@jane-doe");
+  assert.equal(normalizePayoutHandle("Cash App", "JaneDoe").handle, "$janedoe");
+  assert.equal(normalizePayoutHandle("PayPal", "(555) 010-2030").handle, "+15550102030");
+});
+
+test("unknown methods and malformed handles are refused", () => {
+  assert.equal(normalizePayoutHandle("Zelle", "jane").ok, false);
+  assert.equal(normalizePayoutHandle("Venmo", "@ab").ok, false);
+  assert.equal(normalizePayoutHandle("CashApp", "$12345").ok, false);
+});
+
+test("PayPal emails are lowercased", () => {
+  assert.deepEqual(normalizePayoutHandle("paypal", " Jane.Doe+prizes@Example.com "), {
+    ok: true,
+    method: "PayPal",
+    handle: "jane.doe+prizes@example.com"
+  });
+});
+
+test("PayPal emails cannot carry markup", () => {
+  for (const handle of [
+    "<img/src=x/onerror=alert(document.cookie)>@x.co",
+    '"jane"@example.com',
+    "jane'@example.com",
+    "jane@<b>example</b>.com"
+  ]) {
+    assert.equal(normalizePayoutHandle("PayPal", handle).ok, false, handle);
+  }
+});
+
+test("public handles are masked", () => {
+  assert.equal(maskPayoutHandle("@jane-doe"), "@ja***e");
+  assert.equal(maskPayoutHandle("$joe"), "$j***");
+  assert.equal(maskPayoutHandle("jane.doe@example.com"), "ja***e@example.com");
+  assert.equal(maskPayoutHandle("+15550102030"), "+***30");
+  assert.equal(maskPayoutHandle(""), null);
+});
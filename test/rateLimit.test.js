@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createRateLimiter, createRateLimitStore } from "../lib/rateLimit/index.js";
+
+const POLICIES = {
+  claim: { windowMs: 60 * 1000, max: 2, keyBy: ["ip", "payoutHandle"], message: "Too many entries." },
+  state: { windowMs: 60 * 1000, max: 3, keyBy: ["ip"], store: "memory", message: "Too many requests." }
+};
+
+function createTestLimiter({ store = createRateLimitStore("memory"), stores = {}, now = () => 0 } = {}) {
+  return createRateLimiter({
+    store,
+    stores,
+    policies: POLICIES,
+    now,
+    keyResolvers: {
+      ip: (req) => req.ip,
+      payoutHandle: (req) => req.body?.handle || null
+    }
+  });
+}
+
+// Runs the middleware once and reports whether it let the request through.
+async function runLimit(middleware, req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+test("requests over the limit get 429 with Retry-After until the window resets", async () => {
+  let now = 1000;
+  const limit = createTestLimiter({ now: () => now })("claim");
+  const req = { ip: "203.0.113.5", body: {} };
+
+  assert.equal((await runLimit(limit, req)).passed, true);
+  const second = await runLimit(limit, req);
+  assert.equal(second.passed, true);
+  assert.equal(second.res.headers["RateLimit-Remaining"], "0");
+
+  const third = await runLimit(limit, req);
+  assert.equal(third.passed, false);
+  assert.equal(third.res.statusCode, 429);
+  assert.deepEqual(third.res.body, { ok: false, msg: "Too many entries." });
+  assert.equal(third.res.headers["Retry-After"], "60");
+
+  now += 60 * 1000;
+  assert.equal((await runLimit(limit, req)).passed, true);
+});
+
+test("every key counts, so a handle is limited across addresses", async () => {
+  const limit = createTestLimiter()("claim");
+
+  assert.equal((await runLimit(limit, { ip: "198.51.100.1", body: { handle: "@same" } })).passed, true);
+  assert.equal((await runLimit(limit, { ip: "198.51.100.2", body: { handle: "@same" } })).passed, true);
+  assert.equal((await runLimit(limit, { ip: "198.51.100.3", body: { handle: "@same" } })).passed, false);
+  assert.equal((await runLimit(limit, { ip: "198.51.100.3", body: { handle: "@other" } })).passed, true);
+});
+
+test("a policy can keep its counters in a named store", async () => {
+  const shared = createRateLimitStore("memory");
+  const memory = createRateLimitStore("memory");
+  const limiter = createTestLimiter({ store: shared, stores: { memory } });
+  const limit = limiter("state");
+
+  for (let i = 0; i < 3; i += 1) {
+    assert.equal((await runLimit(limit, { ip: "192.0.2.9" })).passed, true);
+  }
+  assert.equal((await runLimit(limit, { ip: "192.0.2.9" })).passed, false);
+  assert.equal((await memory.increment("state:ip:192.0.2.9", 60 * 1000, 0)).count, 5);
+  assert.equal((await shared.increment("state:ip:192.0.2.9", 60 * 1000, 0)).count, 1);
+});
+
+test("a store error lets the request through", async () => {
+  const failing = {
+    name: "failing",
+    increment: async () => {
+      throw new Error("disk full");
+    },
+    prune: async () => {}
+  };
+  const limit = createTestLimiter({ store: failing })("claim");
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await runLimit(limit, { ip: "192.0.2.1", body: {} })).passed, true);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("unknown policies and stores are rejected up front", () => {
+  const limiter = createTestLimiter();
+  assert.throws(() => limiter("nope"), /Unknown rate limit policy/);
+  assert.throws(() => limiter("state"), /unknown store "memory"/);
+});
+
+test("the memory store prunes expired counters", async () => {
+  const store = createRateLimitStore("memory");
+  await store.increment("a", 1000, 0);
+  await store.prune(1000);
+  assert.equal((await store.increment("a", 1000, 1000)).count, 1);
+});
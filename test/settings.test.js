@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { getDefaultSettings, getPublicSettings, validateSetting } from "../lib/settings.js";
+
+test("integer settings accept numeric strings inside their range", () => {
+  assert.deepEqual(validateSetting("drawHour", "7"), { ok: true, value: 7 });
+  assert.equal(validateSetting("drawHour", 24).ok, false);
+  assert.equal(validateSetting("drawWindowSeconds", "9").ok, false);
+  assert.equal(validateSetting("drawMinute", 1.5).ok, false);
+  assert.equal(validateSetting("drawMinute", "").ok, false);
+});
+
+test("time zones must be IANA names", () => {
+  assert.deepEqual(validateSetting("drawTimeZone", " Europe/Berlin "), { ok: true, value: "Europe/Berlin" });
+  assert.equal(validateSetting("drawTimeZone", "Mars/Olympus").ok, false);
+});
+
+test("unknown settings are rejected", () => {
+  assert.deepEqual(validateSetting("adminPassword", "x"), { ok: false, msg: 'Unknown setting "adminPassword"' });
+});
+
+test("only public settings reach the player page", () => {
+  const publicSettings = getPublicSettings(getDefaultSettings());
+  assert.equal(publicSettings.drawHour, 19);
+  assert.equal("claimRetentionDays" in publicSettings, false);
+  assert.equal("chatRetentionHours" in publicSettings, false);
+  assert.equal("unpaidWinnerHours" in publicSettings, false);
+});